@@ -94,6 +94,36 @@ class Database {
 
 const database = new Database();
 
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't touch it).
+// Resolves true if the column was added.
+const addColumnIfMissing = async (table, column, definition) => {
+  const existing = await database.get(`
+    SELECT COLUMN_NAME FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column]);
+
+  if (!existing) {
+    await database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${table}.${column}`);
+    return true;
+  }
+
+  return false;
+};
+
+// Add an index to an existing table if it isn't there yet
+const addIndexIfMissing = async (table, indexName, columns) => {
+  const existing = await database.get(`
+    SELECT INDEX_NAME FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+    LIMIT 1
+  `, [table, indexName]);
+
+  if (!existing) {
+    await database.run(`ALTER TABLE ${table} ADD INDEX ${indexName} (${columns})`);
+  }
+};
+
 export async function initDatabase() {
   await database.connect();
 
@@ -112,6 +142,18 @@ export async function initDatabase() {
       login_attempts INT DEFAULT 0,
       locked_until TIMESTAMP NULL,
       is_active BOOLEAN DEFAULT TRUE,
+      totp_secret VARCHAR(255) NULL,
+      totp_enabled BOOLEAN DEFAULT FALSE,
+      totp_last_step BIGINT NULL,
+      password_reset_token_hash CHAR(64) NULL,
+      password_reset_expires_at TIMESTAMP NULL,
+      email_verified_at TIMESTAMP NULL,
+      email_verification_token_hash CHAR(64) NULL,
+      email_verification_expires_at TIMESTAMP NULL,
+      pending_email VARCHAR(255) NULL,
+      email_change_token_hash CHAR(64) NULL,
+      email_change_expires_at TIMESTAMP NULL,
+      email_change_device_key_id INT NULL,
       INDEX idx_users_email (email),
       INDEX idx_users_username (username)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
@@ -125,8 +167,15 @@ export async function initDatabase() {
       key_id VARCHAR(255) UNIQUE NOT NULL,
       public_key_jwk TEXT NOT NULL,
       fingerprint_hash TEXT,
+      fingerprint_data TEXT,
+      anchor_fingerprint_data TEXT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       last_used TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      last_ip VARCHAR(45),
+      user_agent TEXT,
+      auth_time TIMESTAMP NULL,
+      acr VARCHAR(10),
+      impersonator_id INT NULL,
       is_active BOOLEAN DEFAULT TRUE,
       INDEX idx_device_keys_user_id (user_id),
       INDEX idx_device_keys_key_id (key_id),
@@ -144,8 +193,13 @@ export async function initDatabase() {
       expires_at TIMESTAMP NOT NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       is_revoked BOOLEAN DEFAULT FALSE,
+      family_id VARCHAR(36),
+      replaced_by INT NULL,
+      access_token_jti VARCHAR(64),
+      access_token_expires_at TIMESTAMP NULL,
       INDEX idx_refresh_tokens_user_id (user_id),
       INDEX idx_refresh_tokens_token_hash (token_hash),
+      INDEX idx_refresh_tokens_family_id (family_id),
       FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
       FOREIGN KEY (device_key_id) REFERENCES device_keys (id) ON DELETE CASCADE
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
@@ -187,6 +241,178 @@ export async function initDatabase() {
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
   `);
 
+  // Create dpop_jti table for DPoP replay protection shared across instances
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS dpop_jti (
+      jti_hash CHAR(64) PRIMARY KEY,
+      expires_at TIMESTAMP NOT NULL,
+      INDEX idx_dpop_jti_expires_at (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Create access_token_denylist table for revoked, not yet expired access tokens
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS access_token_denylist (
+      jti VARCHAR(64) PRIMARY KEY,
+      user_id INT NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      reason VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_access_token_denylist_expires_at (expires_at),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Create recovery_codes table for one-time 2FA recovery codes (hashed)
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      used_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_recovery_codes_user_id (user_id),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Create webauthn_credentials table for passkeys
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS webauthn_credentials (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      credential_id VARCHAR(255) UNIQUE NOT NULL,
+      public_key_jwk TEXT NOT NULL,
+      sign_count BIGINT NOT NULL DEFAULT 0,
+      transports VARCHAR(255),
+      name VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used TIMESTAMP NULL,
+      INDEX idx_webauthn_credentials_user_id (user_id),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Create webauthn_challenges table for single-use ceremony challenges
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS webauthn_challenges (
+      challenge VARCHAR(64) PRIMARY KEY,
+      user_id INT NULL,
+      type VARCHAR(20) NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      INDEX idx_webauthn_challenges_expires_at (expires_at),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Create roles table; permissions is a comma-separated list such as "users:read,users:unlock"
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS roles (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(50) UNIQUE NOT NULL,
+      description VARCHAR(255),
+      permissions TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Create user_roles table assigning roles to users
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS user_roles (
+      user_id INT NOT NULL,
+      role_id INT NOT NULL,
+      granted_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, role_id),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      FOREIGN KEY (role_id) REFERENCES roles (id) ON DELETE CASCADE,
+      FOREIGN KEY (granted_by) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Create impersonation_audit table: everything an admin does while acting as another user
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS impersonation_audit (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      actor_user_id INT NULL,
+      target_user_id INT NULL,
+      device_key_id INT NULL,
+      action VARCHAR(20) NOT NULL,
+      method VARCHAR(10),
+      endpoint VARCHAR(255),
+      status_code INT,
+      ip_address VARCHAR(45),
+      reason VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_impersonation_audit_actor (actor_user_id),
+      INDEX idx_impersonation_audit_target (target_user_id),
+      INDEX idx_impersonation_audit_created_at (created_at),
+      FOREIGN KEY (actor_user_id) REFERENCES users (id) ON DELETE SET NULL,
+      FOREIGN KEY (target_user_id) REFERENCES users (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Create audit_events table: what happened to an account (request_logs has the raw hits)
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      event_type VARCHAR(50) NOT NULL,
+      actor_user_id INT NULL,
+      target_user_id INT NULL,
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      fingerprint_hash TEXT,
+      metadata JSON,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_audit_events_target (target_user_id, created_at),
+      INDEX idx_audit_events_actor (actor_user_id),
+      INDEX idx_audit_events_type (event_type),
+      FOREIGN KEY (actor_user_id) REFERENCES users (id) ON DELETE SET NULL,
+      FOREIGN KEY (target_user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Create fingerprint_drift table: each time a device's fingerprint changed, how similar it
+  // still was and whether the change was accepted
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS fingerprint_drift (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      device_key_id INT NOT NULL,
+      user_id INT NOT NULL,
+      similarity DECIMAL(4,3) NOT NULL,
+      changed_attributes JSON,
+      accepted BOOLEAN NOT NULL,
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_fingerprint_drift_device (device_key_id, created_at),
+      INDEX idx_fingerprint_drift_user (user_id),
+      FOREIGN KEY (device_key_id) REFERENCES device_keys (id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Create security_incidents table: bot detections from the anti-scraping middleware and
+  // reports sent by the frontend, kept for analysis after the fact
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS security_incidents (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      incident_type VARCHAR(50) NOT NULL,
+      source VARCHAR(20) NOT NULL,
+      client_id VARCHAR(32),
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      fingerprint_hash TEXT,
+      method VARCHAR(10),
+      endpoint VARCHAR(255),
+      details JSON,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_security_incidents_type (incident_type, created_at),
+      INDEX idx_security_incidents_ip (ip_address),
+      INDEX idx_security_incidents_client (client_id),
+      INDEX idx_security_incidents_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
   // Update existing columns to handle longer fingerprint data
   try {
     await database.run(`ALTER TABLE device_keys MODIFY COLUMN fingerprint_hash TEXT`);
@@ -197,6 +423,54 @@ export async function initDatabase() {
     console.log('Fingerprint hash columns already updated or error occurred:', error.message);
   }
 
+  // Refresh token rotation: tokens issued from one login share a family
+  await addColumnIfMissing('refresh_tokens', 'family_id', 'VARCHAR(36)');
+  await addColumnIfMissing('refresh_tokens', 'replaced_by', 'INT NULL');
+  await addIndexIfMissing('refresh_tokens', 'idx_refresh_tokens_family_id', 'family_id');
+
+  // Access token issued with each refresh token, for the access token denylist
+  await addColumnIfMissing('refresh_tokens', 'access_token_jti', 'VARCHAR(64)');
+  await addColumnIfMissing('refresh_tokens', 'access_token_expires_at', 'TIMESTAMP NULL');
+
+  // TOTP two-factor authentication
+  await addColumnIfMissing('users', 'totp_secret', 'VARCHAR(255) NULL');
+  await addColumnIfMissing('users', 'totp_enabled', 'BOOLEAN DEFAULT FALSE');
+  await addColumnIfMissing('users', 'totp_last_step', 'BIGINT NULL');
+
+  // Password reset
+  await addColumnIfMissing('users', 'password_reset_token_hash', 'CHAR(64) NULL');
+  await addColumnIfMissing('users', 'password_reset_expires_at', 'TIMESTAMP NULL');
+
+  // Email verification; accounts that existed before verification was introduced count as verified
+  if (await addColumnIfMissing('users', 'email_verified_at', 'TIMESTAMP NULL')) {
+    await database.run('UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL');
+  }
+  await addColumnIfMissing('users', 'email_verification_token_hash', 'CHAR(64) NULL');
+  await addColumnIfMissing('users', 'email_verification_expires_at', 'TIMESTAMP NULL');
+
+  // Where each device was last seen, for the session list
+  await addColumnIfMissing('device_keys', 'last_ip', 'VARCHAR(45)');
+  await addColumnIfMissing('device_keys', 'user_agent', 'TEXT');
+
+  // Email change waiting for the new address to be confirmed
+  await addColumnIfMissing('users', 'pending_email', 'VARCHAR(255) NULL');
+  await addColumnIfMissing('users', 'email_change_token_hash', 'CHAR(64) NULL');
+  await addColumnIfMissing('users', 'email_change_expires_at', 'TIMESTAMP NULL');
+  await addColumnIfMissing('users', 'email_change_device_key_id', 'INT NULL');
+
+  // When and how strongly the user last authenticated on each device (auth_time/acr claims)
+  await addColumnIfMissing('device_keys', 'auth_time', 'TIMESTAMP NULL');
+  await addColumnIfMissing('device_keys', 'acr', 'VARCHAR(10)');
+
+  // Device keys created for an admin impersonating the user
+  await addColumnIfMissing('device_keys', 'impersonator_id', 'INT NULL');
+
+  // Normalized fingerprint attributes, so later fingerprints can be scored against them
+  await addColumnIfMissing('device_keys', 'fingerprint_data', 'TEXT');
+
+  // Fingerprint the device signed in with; accepted drift never moves it
+  await addColumnIfMissing('device_keys', 'anchor_fingerprint_data', 'TEXT');
+
   console.log('MySQL database tables created successfully');
 }
 
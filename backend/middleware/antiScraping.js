@@ -1,10 +1,15 @@
 // Advanced Anti-Scraping Middleware
 import crypto from 'crypto';
+import { INCIDENT_TYPES, logSecurityIncident, pickRecordedHeaders } from '../utils/securityIncidents.js';
+import { createChallenge, verifySolution, createClearance, verifyClearance } from '../utils/powChallenge.js';
+
+// Suspicion points a solved proof-of-work challenge takes off while its clearance lasts
+const CLEARANCE_DISCOUNT = 50;
 
 class AntiScrapingMiddleware {
   constructor() {
     this.suspiciousPatterns = new Map();
-    this.challengeTokens = new Map();
+    this.challengeTokens = new Map(); // nonce of each solved challenge -> when it expires
     this.requestPatterns = new Map();
   }
 
@@ -12,17 +17,21 @@ class AntiScrapingMiddleware {
   middleware() {
     return (req, res, next) => {
       const clientId = this.getClientId(req);
-      
-      // Skip for authenticated API calls (they have their own protection)
-      if (req.path.startsWith('/api/') && req.headers.authorization) {
-        return next();
-      }
+
+      // Authenticated API calls skip the header and bot heuristics (they have their own
+      // protection), but their pattern is still recorded: it feeds the risk score
+      const isAuthenticatedApi = req.path.startsWith('/api/') && !!req.headers.authorization;
 
       // Analyze request patterns
       this.analyzeRequestPattern(req, clientId);
-      
+
+      // Challenge endpoints stay reachable so a flagged client can prove itself
+      if (req.path.startsWith('/api/security/challenge')) {
+        return next();
+      }
+
       // Check for bot indicators
-      if (this.detectBot(req)) {
+      if (!isAuthenticatedApi && this.detectBot(req)) {
         return this.handleBotDetection(req, res);
       }
 
@@ -31,8 +40,8 @@ class AntiScrapingMiddleware {
         return this.handleSuspiciousActivity(req, res, 'high_frequency');
       }
 
-      // Validate browser headers
-      if (!this.validateBrowserHeaders(req)) {
+      // Validate browser headers; a clearance only discounts the suspicion score, it doesn't skip this
+      if (!isAuthenticatedApi && !this.validateBrowserHeaders(req)) {
         return this.handleSuspiciousActivity(req, res, 'invalid_headers');
       }
 
@@ -81,6 +90,9 @@ class AntiScrapingMiddleware {
 
     // Calculate suspicion score
     pattern.suspicionScore = this.calculateSuspicionScore(pattern);
+    if (this.hasClearance(req, clientId)) {
+      pattern.suspicionScore = Math.max(0, pattern.suspicionScore - CLEARANCE_DISCOUNT);
+    }
 
     this.requestPatterns.set(clientId, pattern);
   }
@@ -139,6 +151,37 @@ class AntiScrapingMiddleware {
     return Math.min(score, 100); // Cap at 100
   }
 
+  // Suspicion score (0-100) of the client making this request, 0 if it hasn't been seen
+  getSuspicionScore(req) {
+    return this.requestPatterns.get(this.getClientId(req))?.suspicionScore || 0;
+  }
+
+  // Whether the request carries an unexpired clearance (X-Clearance) issued to this client
+  hasClearance(req, clientId = this.getClientId(req)) {
+    const clearance = req.headers['x-clearance'];
+    return !!clearance && verifyClearance(clearance, clientId);
+  }
+
+  // Proof-of-work challenge for this client; the more suspicious, the harder
+  issueChallenge(req) {
+    return createChallenge(this.getClientId(req), this.getSuspicionScore(req));
+  }
+
+  // Exchange a solved challenge for a clearance token. Each challenge can be redeemed once.
+  redeemChallenge(req, challenge, solution) {
+    const result = verifySolution(challenge, solution, this.getClientId(req));
+    if (!result.valid) {
+      return { error: result.error };
+    }
+
+    if (this.challengeTokens.has(result.nonce)) {
+      return { error: 'Challenge already used' };
+    }
+    this.challengeTokens.set(result.nonce, result.expiresAt);
+
+    return createClearance(this.getClientId(req));
+  }
+
   // Detect bot based on headers and behavior
   detectBot(req) {
     const userAgent = req.headers['user-agent'] || '';
@@ -300,31 +343,22 @@ class AntiScrapingMiddleware {
       res.status(403).json({
         error: 'Suspicious activity detected',
         message: 'Please verify you are human',
-        code: 'SUSPICIOUS_ACTIVITY'
+        code: 'SUSPICIOUS_ACTIVITY',
+        challenge: this.issueChallenge(req)
       });
     }
   }
 
   // Log bot attempt to database
   async logBotAttempt(req, clientId) {
-    try {
-      // This would integrate with your database
-      const logData = {
-        client_id: clientId,
-        user_agent: req.headers['user-agent'],
+    await logSecurityIncident(req, INCIDENT_TYPES.BOT_ATTEMPT, {
+      source: 'server',
+      clientId,
+      details: {
         path: req.path,
-        method: req.method,
-        ip: req.ip,
-        headers: JSON.stringify(req.headers),
-        timestamp: new Date(),
-        type: 'bot_attempt'
-      };
-      
-      // Log to your security_logs table
-      console.log('Bot attempt logged:', logData);
-    } catch (error) {
-      console.error('Failed to log bot attempt:', error);
-    }
+        headers: pickRecordedHeaders(req)
+      }
+    });
   }
 
   // Clean up old data periodically
@@ -339,6 +373,12 @@ class AntiScrapingMiddleware {
         this.requestPatterns.delete(clientId);
       }
     }
+
+    for (const [nonce, expiresAt] of this.challengeTokens.entries()) {
+      if (expiresAt <= now) {
+        this.challengeTokens.delete(nonce);
+      }
+    }
   }
 }
 
@@ -1,20 +1,24 @@
+import crypto from 'crypto';
+import rateLimit from 'express-rate-limit';
 import { database } from '../config/database.js';
-import { verifyAccessToken, verifyDPoP, generateKeyThumbprint } from '../utils/crypto.js';
-import { logRequest, compareFingerprints } from './security.js';
-
-// JTI replay protection cache (in production, use Redis)
-const jtiCache = new Set();
-const JTI_CACHE_SIZE = 10000;
-
-// Clean JTI cache periodically
-setInterval(() => {
-  if (jtiCache.size > JTI_CACHE_SIZE) {
-    jtiCache.clear();
-  }
-}, 5 * 60 * 1000); // Clean every 5 minutes
+import {
+  verifyAccessToken,
+  verifyDPoP,
+  generateKeyThumbprint,
+  generateDPoPNonce,
+  getDPoPIatSkew
+} from '../utils/crypto.js';
+import { getReplayStore } from '../utils/replayStore.js';
+import { isAccessTokenDenied } from '../utils/accessTokenDenylist.js';
+import { getUserAccess, hasPermission } from '../utils/roles.js';
+import { recordImpersonationEvent } from '../utils/impersonation.js';
+import { logRequest, compareFingerprints, recordFingerprintDrift, getFingerprintTolerance } from './security.js';
 
 export const authenticateToken = async (req, res, next) => {
   try {
+    // Hand out a fresh nonce on every response so the client can sign its next proof
+    res.set('DPoP-Nonce', generateDPoPNonce());
+
     // Extract Authorization header
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -32,7 +36,7 @@ export const authenticateToken = async (req, res, next) => {
     // Verify JWT
     let payload;
     try {
-      payload = verifyAccessToken(token);
+      payload = await verifyAccessToken(token);
     } catch (error) {
       await logRequest(req, null, 401);
       return res.status(401).json({ error: 'Invalid or expired token' });
@@ -48,11 +52,19 @@ export const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Token not properly bound to device' });
     }
 
+    // Reject access tokens revoked by logout or device revocation
+    if (await isAccessTokenDenied(payload.jti)) {
+      await logRequest(req, userId, 401);
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
     // Get device key from database
     const deviceKey = await database.get(`
-      SELECT dk.*, u.username, u.email, u.is_active as user_active
+      SELECT dk.*, u.username, u.email, u.is_active as user_active, u.email_verified_at,
+             imp.username AS impersonator_username
       FROM device_keys dk
       JOIN users u ON dk.user_id = u.id
+      LEFT JOIN users imp ON dk.impersonator_id = imp.id
       WHERE dk.id = ? AND dk.user_id = ? AND dk.is_active = 1 AND u.is_active = 1
     `, [deviceKeyId, userId]);
 
@@ -61,6 +73,14 @@ export const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Device key not found or inactive' });
     }
 
+    // Impersonation tokens only work with the device key issued for that impersonation, and
+    // that key only accepts impersonation tokens from the same admin
+    const actorId = payload.act?.sub ? parseInt(payload.act.sub) : null;
+    if ((actorId || deviceKey.impersonator_id) && actorId !== deviceKey.impersonator_id) {
+      await logRequest(req, userId, 401);
+      return res.status(401).json({ error: 'Token not properly bound to device' });
+    }
+
     // Parse stored public key
     let publicKeyJwk;
     try {
@@ -72,8 +92,7 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     // Verify key thumbprint matches
-    const storedThumbprint = generateKeyThumbprint(publicKeyJwk);
-    if (storedThumbprint !== keyThumbprint) {
+    if (generateKeyThumbprint(publicKeyJwk) !== keyThumbprint) {
       await logRequest(req, userId, 401);
       return res.status(401).json({ error: 'Key thumbprint mismatch' });
     }
@@ -85,40 +104,48 @@ export const authenticateToken = async (req, res, next) => {
 
 
 
-    // Verify DPoP proof
-    const dpopResult = await verifyDPoP(dpopHeader, req.method, fullUrl, publicKeyJwk);
+    // Verify DPoP proof (bound to this access token via ath)
+    const dpopResult = await verifyDPoP(dpopHeader, req.method, fullUrl, publicKeyJwk, token);
     if (!dpopResult.valid) {
       await logRequest(req, userId, 401);
+
+      if (dpopResult.errorCode === 'use_dpop_nonce') {
+        res.set('WWW-Authenticate', `DPoP error="use_dpop_nonce", error_description="${dpopResult.error}"`);
+        return res.status(401).json({ error: 'use_dpop_nonce', details: dpopResult.error });
+      }
+
       return res.status(401).json({ error: 'Invalid DPoP proof', details: dpopResult.error });
     }
 
-    // Check for JTI replay
-    if (jtiCache.has(dpopResult.jti)) {
+    // Check for JTI replay; the jti only needs remembering until the proof is too old anyway
+    const jtiExpiresAt = new Date((dpopResult.iat + getDPoPIatSkew()) * 1000);
+    const firstUse = await getReplayStore().checkAndStore(keyThumbprint, dpopResult.jti, jtiExpiresAt);
+    if (!firstUse) {
       await logRequest(req, userId, 401, dpopResult.jti);
       return res.status(401).json({ error: 'DPoP proof replay detected' });
     }
 
-    // Add JTI to cache
-    jtiCache.add(dpopResult.jti);
-
     // Enhanced security validations
     const currentFingerprint = req.headers['x-fingerprint'];
     const currentIP = req.securityContext?.ip;
 
     // Fingerprint validation
     if (deviceKey.fingerprint_hash && currentFingerprint) {
-      const fingerprintMatch = compareFingerprints(
-        deviceKey.fingerprint_hash,
+      const fingerprintComparison = compareFingerprints(
+        deviceKey,
         currentFingerprint,
-        parseFloat(process.env.FINGERPRINT_TOLERANCE) || 0.7
+        getFingerprintTolerance()
       );
+      await recordFingerprintDrift(req, deviceKey, fingerprintComparison);
 
-      if (!fingerprintMatch) {
+      if (!fingerprintComparison.match) {
         console.warn('Fingerprint mismatch detected', {
           userId,
           deviceKeyId,
           ip: currentIP,
-          userAgent: req.securityContext?.userAgent
+          userAgent: req.securityContext?.userAgent,
+          similarity: fingerprintComparison.similarity,
+          changedAttributes: fingerprintComparison.changedAttributes
         });
 
         // In production: require re-authentication for security
@@ -131,6 +158,7 @@ export const authenticateToken = async (req, res, next) => {
         }
 
         req.fingerprintMismatch = true;
+        req.fingerprintSimilarity = fingerprintComparison.similarity;
       }
     }
 
@@ -147,7 +175,7 @@ export const authenticateToken = async (req, res, next) => {
         // Update IP but flag for monitoring
         await database.run(`
           UPDATE device_keys
-          SET last_ip = ?, updated_at = CURRENT_TIMESTAMP
+          SET last_ip = ?
           WHERE id = ?
         `, [currentIP, deviceKeyId]);
 
@@ -155,21 +183,47 @@ export const authenticateToken = async (req, res, next) => {
       }
     }
 
-    // Update last used timestamp for device key
+    // Update last used timestamp and location for device key
     await database.run(`
       UPDATE device_keys 
-      SET last_used = CURRENT_TIMESTAMP 
+      SET last_used = CURRENT_TIMESTAMP, last_ip = ?, user_agent = ?
       WHERE id = ?
-    `, [deviceKeyId]);
+    `, [currentIP || deviceKey.last_ip, req.securityContext?.userAgent || deviceKey.user_agent, deviceKeyId]);
+
+    // Roles are looked up rather than trusted from the token so revocations apply at once.
+    // An impersonating admin never gets the target's roles.
+    const { roles, permissions } = actorId ? { roles: [], permissions: [] } : await getUserAccess(userId);
 
     // Attach user info to request
     req.user = {
       id: userId,
       username: deviceKey.username,
       email: deviceKey.email,
-      deviceKeyId: deviceKeyId
+      deviceKeyId: deviceKeyId,
+      emailVerified: !!deviceKey.email_verified_at,
+      tokenJti: payload.jti,
+      tokenExpiresAt: new Date(payload.exp * 1000),
+      authTime: payload.auth_time ? new Date(payload.auth_time * 1000) : null,
+      acr: payload.acr || null,
+      roles,
+      permissions,
+      impersonator: actorId ? { id: actorId, username: deviceKey.impersonator_username } : null
     };
 
+    // Audit every request made while impersonating, with its outcome
+    if (actorId) {
+      res.on('finish', () => {
+        recordImpersonationEvent({
+          actorId,
+          targetId: userId,
+          deviceKeyId,
+          action: 'request',
+          req,
+          statusCode: res.statusCode
+        });
+      });
+    }
+
     // Log successful request
     await logRequest(req, userId, 200, dpopResult.jti);
 
@@ -181,6 +235,72 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Accounts with an unverified email are read-only (EMAIL_VERIFICATION_POLICY=limited)
+export const requireVerifiedEmail = async (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    await logRequest(req, req.user?.id, 403);
+    return res.status(403).json({ error: 'email_not_verified', details: 'Verify your email address to do this' });
+  }
+  next();
+};
+
+// Only users whose roles grant every listed permission get through
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  if (!permissions.every(permission => hasPermission(req.user, permission))) {
+    await logRequest(req, req.user?.id, 403);
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Routes that change credentials or sessions are off limits while an admin impersonates a user
+export const blockImpersonation = async (req, res, next) => {
+  if (req.user?.impersonator) {
+    await logRequest(req, req.user.id, 403);
+    return res.status(403).json({
+      error: 'impersonation_forbidden',
+      details: 'This action is not available while impersonating a user'
+    });
+  }
+  next();
+};
+
+// Attempts at a password or second factor from someone already past the first step: the 2FA
+// sign-in step, re-authentication, and the 2FA settings that ask for a current code
+export const reauthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'development' ? 100 : 10,
+  message: {
+    error: 'Too many attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Seconds a sign-in or re-authentication counts as recent (RECENT_AUTH_MAX_AGE)
+export const getRecentAuthMaxAge = () => parseInt(process.env.RECENT_AUTH_MAX_AGE) || 5 * 60;
+
+// Whether the token's auth_time is within maxAge seconds; tokens without one never are
+export const isRecentAuth = (user, maxAge = getRecentAuthMaxAge()) => {
+  return !!user?.authTime && Date.now() - user.authTime.getTime() <= maxAge * 1000;
+};
+
+// Sensitive operations need a recent sign-in or POST /auth/reauthenticate. Answers 403 rather
+// than 401 so clients don't treat it as an expired token and refresh, which wouldn't help.
+export const requireRecentAuth = (maxAge) => async (req, res, next) => {
+  const limit = maxAge ?? getRecentAuthMaxAge();
+
+  if (!isRecentAuth(req.user, limit)) {
+    await logRequest(req, req.user?.id, 403);
+    return res.status(403).json({
+      error: 'reauthentication_required',
+      details: 'Confirm your identity to continue',
+      maxAge: limit
+    });
+  }
+  next();
+};
+
 // Optional authentication (for endpoints that work with or without auth)
 export const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -195,3 +315,52 @@ export const optionalAuth = async (req, res, next) => {
     next();
   }
 };
+
+// Service clients allowed to call introspection/revocation, from
+// INTROSPECTION_CLIENTS="clientId:secret,otherClient:otherSecret"
+const getServiceClients = () => {
+  const clients = new Map();
+  for (const entry of (process.env.INTROSPECTION_CLIENTS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      clients.set(entry.slice(0, separator).trim(), entry.slice(separator + 1).trim());
+    }
+  }
+  return clients;
+};
+
+const secretsMatch = (expected, actual) => {
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const actualHash = crypto.createHash('sha256').update(actual).digest();
+  return crypto.timingSafeEqual(expectedHash, actualHash);
+};
+
+// HTTP Basic authentication for backend services (API gateway, internal services)
+export const authenticateServiceClient = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  let clientId = null;
+  let clientSecret = null;
+
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator > 0) {
+      try {
+        clientId = decodeURIComponent(decoded.slice(0, separator));
+        clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+      } catch (error) {
+        clientId = null;
+      }
+    }
+  }
+
+  const expectedSecret = clientId ? getServiceClients().get(clientId) : null;
+  if (!expectedSecret || !secretsMatch(expectedSecret, clientSecret)) {
+    await logRequest(req, null, 401);
+    res.set('WWW-Authenticate', 'Basic realm="prevent-scraping-api"');
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  req.serviceClient = { id: clientId };
+  next();
+};
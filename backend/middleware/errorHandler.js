@@ -24,7 +24,10 @@ export const errorHandler = async (err, req, res, next) => {
   let message = 'Internal server error';
   
   // Handle specific error types
-  if (err.name === 'ValidationError') {
+  if (err.type === 'entity.too.large') {
+    statusCode = 413;
+    message = 'Request body too large';
+  } else if (err.name === 'ValidationError') {
     statusCode = 400;
     message = 'Validation error';
   } else if (err.name === 'UnauthorizedError' || err.message.includes('unauthorized')) {
@@ -0,0 +1,193 @@
+// Honeypot and tarpit for confirmed scrapers
+// Decoy endpoints (and the hidden links the frontend renders to them) are never requested by a
+// real user, so any client that hits one is flagged by client id (and, if HONEYPOT_FLAG_IP is
+// set, briefly by IP). Flagged clients are then tarpitted: answered with a response that drips
+// a byte every few seconds before ending empty, which ties up the scraper instead of telling it
+// to rotate. Without tarpitting, or when too many connections are already held, they get a
+// plain 403.
+// Only hits from our own pages or from non-browser clients flag anyone: any other site can make
+// a visitor's browser request a decoy (an <img> pointing at /.env), which would lock them out.
+import { INCIDENT_TYPES, logSecurityIncident, pickRecordedHeaders } from '../utils/securityIncidents.js';
+import { getAppUrl } from '../utils/mailer.js';
+import antiScrapingMiddleware from './antiScraping.js';
+
+// Decoys look like things a scraper would go after: bulk exports, internal APIs, common probes.
+// The first two are linked invisibly from the frontend (see HoneypotLinks.jsx).
+const DEFAULT_PATHS = [
+  '/api/crud/posts/export',
+  '/api/internal/users',
+  '/api/admin/backup',
+  '/.env',
+  '/wp-login.php'
+];
+
+const getHoneypotPaths = () => process.env.HONEYPOT_PATHS
+  ? process.env.HONEYPOT_PATHS.split(',').map(path => path.trim()).filter(Boolean)
+  : DEFAULT_PATHS;
+
+// Seconds a client stays flagged after its last honeypot hit
+const getFlagTtl = () => parseInt(process.env.HONEYPOT_FLAG_TTL) || 24 * 60 * 60;
+
+// Flagging the IP as well catches scrapers that rotate user agents, but it also blocks every
+// user behind the same NAT, so it's opt-in and short. Behind a reverse proxy it needs
+// TRUST_PROXY, or req.ip is the proxy and one hit blocks the whole site.
+const isIpFlaggingEnabled = () => process.env.HONEYPOT_FLAG_IP === 'true';
+const getIpFlagTtl = () => parseInt(process.env.HONEYPOT_IP_FLAG_TTL) || 10 * 60;
+
+const isTarpitEnabled = () => process.env.TARPIT_ENABLED === 'true';
+const getTarpitDuration = () => parseInt(process.env.TARPIT_DURATION) || 60; // seconds
+const getTarpitInterval = () => parseInt(process.env.TARPIT_INTERVAL) || 2000; // ms between bytes
+const getTarpitMaxConnections = () => parseInt(process.env.TARPIT_MAX_CONNECTIONS) || 50;
+
+class HoneypotMiddleware {
+  constructor() {
+    this.flaggedClients = new Map(); // client id -> when the flag expires
+    this.flaggedIps = new Map(); // IP -> when the flag expires (only with HONEYPOT_FLAG_IP)
+    this.activeTarpits = 0;
+  }
+
+  // Main middleware function; runs before anti-scraping so flagged clients are caught even
+  // on authenticated API calls
+  middleware() {
+    return (req, res, next) => {
+      const clientId = antiScrapingMiddleware.getClientId(req);
+
+      if (this.isHoneypotPath(req.path)) {
+        if (!this.isForeignRequest(req)) {
+          this.flag(req, clientId);
+        }
+        return this.handleFlaggedClient(req, res);
+      }
+
+      if (this.isFlagged(clientId, req.ip)) {
+        return this.handleFlaggedClient(req, res);
+      }
+
+      next();
+    };
+  }
+
+  // A decoy path matches itself and anything below it
+  isHoneypotPath(path) {
+    return getHoneypotPaths().some(decoy => path === decoy || path.startsWith(`${decoy}/`));
+  }
+
+  // Whether a browser sent this request on behalf of another site. Requests without Sec-Fetch-Site,
+  // Origin or Referer come from scripts and count as our own.
+  isForeignRequest(req) {
+    if (req.get('Sec-Fetch-Site') === 'cross-site') {
+      return true;
+    }
+
+    const source = req.get('Origin') || req.get('Referer');
+    if (!source) {
+      return false;
+    }
+
+    try {
+      const { origin } = new URL(source);
+      const ownOrigins = [`${req.protocol}://${req.get('host')}`, new URL(getAppUrl()).origin];
+      return !ownOrigins.includes(origin);
+    } catch (error) {
+      return true;
+    }
+  }
+
+  isFlagged(clientId, ip) {
+    const now = Date.now();
+    return (this.flaggedClients.get(clientId) || 0) > now || (this.flaggedIps.get(ip) || 0) > now;
+  }
+
+  flag(req, clientId) {
+    this.flaggedClients.set(clientId, Date.now() + getFlagTtl() * 1000);
+    if (isIpFlaggingEnabled() && req.ip) {
+      this.flaggedIps.set(req.ip, Date.now() + getIpFlagTtl() * 1000);
+    }
+
+    console.warn('Honeypot hit:', {
+      clientId,
+      userAgent: req.headers['user-agent'],
+      path: req.path,
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+
+    logSecurityIncident(req, INCIDENT_TYPES.HONEYPOT_HIT, {
+      source: 'server',
+      clientId,
+      details: {
+        path: req.path,
+        headers: pickRecordedHeaders(req)
+      }
+    });
+  }
+
+  handleFlaggedClient(req, res) {
+    if (isTarpitEnabled() && this.activeTarpits < getTarpitMaxConnections()) {
+      return this.tarpit(req, res);
+    }
+
+    // Same answer the anti-scraping middleware gives bots, so the honeypot isn't given away
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'Automated access detected',
+      code: 'BOT_DETECTED'
+    });
+  }
+
+  // Hold the connection open, sending a space every interval (valid leading JSON whitespace),
+  // then end with an empty result
+  tarpit(req, res) {
+    this.activeTarpits++;
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-store');
+    res.flushHeaders();
+
+    const endsAt = Date.now() + getTarpitDuration() * 1000;
+    let released = false;
+
+    const release = () => {
+      if (!released) {
+        released = true;
+        clearInterval(timer);
+        this.activeTarpits--;
+      }
+    };
+
+    const timer = setInterval(() => {
+      if (Date.now() >= endsAt) {
+        release();
+        res.end('{"data":[]}');
+      } else {
+        res.write(' ');
+      }
+    }, getTarpitInterval());
+
+    res.on('close', release);
+  }
+
+  // Clean up expired flags periodically
+  cleanup() {
+    const now = Date.now();
+
+    for (const flags of [this.flaggedClients, this.flaggedIps]) {
+      for (const [key, expiresAt] of flags.entries()) {
+        if (expiresAt <= now) {
+          flags.delete(key);
+        }
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const honeypotMiddleware = new HoneypotMiddleware();
+
+// Clean up every 10 minutes
+setInterval(() => {
+  honeypotMiddleware.cleanup();
+}, 600000);
+
+export default honeypotMiddleware;
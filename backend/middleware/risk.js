@@ -0,0 +1,81 @@
+import { logRequest } from './security.js';
+import antiScrapingMiddleware from './antiScraping.js';
+import { isRecentAuth, requireRecentAuth } from './auth.js';
+import { assessRisk, RISK_ACTIONS } from '../utils/riskEngine.js';
+import { checkPoisoning } from '../utils/dataPoisoning.js';
+import { AUDIT_EVENTS, recordAuditEvent } from '../utils/auditLog.js';
+
+// Log a decision that changes how a request is answered, with the signals behind it.
+// context is where it was made: 'login', 'refresh' or 'api'.
+export const recordRiskDecision = async (req, risk, context, userId = null) => {
+  console.warn('Risk policy applied', {
+    context,
+    userId,
+    ip: req.securityContext?.ip,
+    score: risk.score,
+    action: risk.action,
+    contributions: risk.contributions
+  });
+
+  if (userId) {
+    await recordAuditEvent(req, AUDIT_EVENTS.RISK_ELEVATED, {
+      targetUserId: userId,
+      actorUserId: null,
+      metadata: { context, action: risk.action, score: risk.score, contributions: risk.contributions }
+    });
+  }
+};
+
+// Answer a request the policy challenges or blocks
+export const sendRiskRejection = async (req, res, risk, userId = null) => {
+  await logRequest(req, userId, 403);
+
+  if (risk.action === RISK_ACTIONS.BLOCK) {
+    return res.status(403).json({ error: 'request_blocked' });
+  }
+
+  // Solving the proof-of-work challenge and retrying with its clearance lowers the score
+  return res.status(403).json({
+    error: 'risk_challenge_required',
+    riskScore: risk.score,
+    challenge: antiScrapingMiddleware.issueChallenge(req)
+  });
+};
+
+// Score each request and apply the risk policy; use after authenticateToken. Step-up asks
+// for a recent sign-in, which the frontend's re-authentication dialog takes care of.
+// Reads from a client past POISON_THRESHOLD go through with req.poisonWatermark set, and
+// every GET route behind this must then answer with fabricated data (utils/dataPoisoning.js).
+export const riskCheck = async (req, res, next) => {
+  try {
+    const risk = await assessRisk(req);
+    req.risk = risk;
+
+    // No audit event here: the account's activity feed would tell the scraper
+    req.poisonWatermark = await checkPoisoning(req, risk);
+    if (req.poisonWatermark) {
+      return next();
+    }
+
+    if (risk.action === RISK_ACTIONS.ALLOW) {
+      return next();
+    }
+
+    // A recent sign-in already is the step-up
+    if (risk.action === RISK_ACTIONS.STEP_UP && isRecentAuth(req.user)) {
+      return next();
+    }
+
+    await recordRiskDecision(req, risk, 'api', req.user?.id);
+
+    if (risk.action === RISK_ACTIONS.STEP_UP) {
+      return requireRecentAuth()(req, res, next);
+    }
+
+    return sendRiskRejection(req, res, risk, req.user?.id);
+  } catch (error) {
+    // Scoring failures shouldn't lock everyone out
+    console.error('Risk check error:', error);
+    next();
+  }
+};
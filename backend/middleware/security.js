@@ -3,7 +3,11 @@ import {
   generateFingerprintHash,
   compareFingerprintSimilarity,
   validateFingerprintData,
-  detectSuspiciousFingerprint
+  detectSuspiciousFingerprint,
+  normalizeFingerprint,
+  encodeFingerprint,
+  decodeFingerprint,
+  getChangedAttributes
 } from '../utils/fingerprint.js';
 
 // Security middleware for logging requests and basic fingerprint validation
@@ -40,23 +44,29 @@ export const securityMiddleware = async (req, res, next) => {
   }
 };
 
+// Hash of the X-Fingerprint header sent with a request, for logs. Reads the header directly
+// when securityMiddleware hasn't run yet (e.g. in the anti-scraping middleware).
+export const getRequestFingerprintHash = (req) => {
+  const fingerprint = req.securityContext?.fingerprint ?? req.get?.('X-Fingerprint');
+  if (!fingerprint) {
+    return null;
+  }
+
+  try {
+    const fingerprintData = JSON.parse(fingerprint);
+    return generateFingerprintHash(fingerprintData);
+  } catch (error) {
+    console.warn('Failed to parse fingerprint for logging:', error.message);
+    // Truncate raw fingerprint if it's too long
+    return fingerprint.length > 255 ? fingerprint.substring(0, 255) : fingerprint;
+  }
+};
+
 // Log request for monitoring and analysis
 export const logRequest = async (req, userId = null, statusCode = 200, dpopJti = null) => {
   try {
-    const { ip, userAgent, fingerprint, endpoint, method } = req.securityContext || {};
-
-    // Generate hash from fingerprint data if available
-    let fingerprintHash = null;
-    if (fingerprint) {
-      try {
-        const fingerprintData = JSON.parse(fingerprint);
-        fingerprintHash = generateFingerprintHash(fingerprintData);
-      } catch (error) {
-        console.warn('Failed to parse fingerprint for logging:', error.message);
-        // Truncate raw fingerprint if it's too long
-        fingerprintHash = fingerprint.length > 255 ? fingerprint.substring(0, 255) : fingerprint;
-      }
-    }
+    const { ip, userAgent, endpoint, method } = req.securityContext || {};
+    const fingerprintHash = getRequestFingerprintHash(req);
 
     await database.run(`
       INSERT INTO request_logs (
@@ -69,33 +79,93 @@ export const logRequest = async (req, userId = null, statusCode = 200, dpopJti =
   }
 };
 
-// Fingerprint comparison utility (updated to use new fingerprint utilities)
-export const compareFingerprints = (storedHash, currentFingerprintJson, tolerance = 0.7) => {
-  if (!storedHash || !currentFingerprintJson) return false;
+// Minimum similarity for a changed fingerprint to still match its device (FINGERPRINT_TOLERANCE)
+export const getFingerprintTolerance = () => parseFloat(process.env.FINGERPRINT_TOLERANCE) || 0.7;
+
+// Score a request's fingerprint against the one stored for its device key. An unchanged
+// fingerprint matches on its hash alone; a changed one goes through the weighted scorer, so a
+// browser update or a new monitor stays within tolerance. It is scored against both the latest
+// accepted fingerprint and the one the device signed in with, and the lower score counts, so
+// small accepted steps can't add up to a different machine. Device keys stored before their
+// attributes were kept only have a hash and can only match exactly.
+export const compareFingerprints = (deviceKey, currentFingerprintJson, tolerance = 0.7) => {
+  const noMatch = { match: false, changed: true, similarity: 0, changedAttributes: [] };
+  if (!deviceKey?.fingerprint_hash || !currentFingerprintJson) return noMatch;
 
   try {
-    // Parse the current fingerprint JSON
     const currentFingerprintData = typeof currentFingerprintJson === 'string'
       ? JSON.parse(currentFingerprintJson)
       : currentFingerprintJson;
 
-    // Generate hash from current fingerprint data
     const currentHash = generateFingerprintHash(currentFingerprintData);
+    const result = { currentHash, currentData: normalizeFingerprint(currentFingerprintData) };
 
-    // Compare hashes directly (exact match for now)
-    // In the future, you could implement fuzzy matching for hashes
-    const match = storedHash === currentHash;
+    if (deviceKey.fingerprint_hash === currentHash) {
+      return { ...result, match: true, changed: false, similarity: 1, changedAttributes: [] };
+    }
+
+    const storedData = decodeFingerprint(deviceKey.fingerprint_data);
+    if (!storedData) {
+      return { ...noMatch, ...result };
+    }
+
+    const anchorData = decodeFingerprint(deviceKey.anchor_fingerprint_data) || storedData;
+    const similarity = Math.min(
+      compareFingerprintSimilarity(storedData, result.currentData),
+      compareFingerprintSimilarity(anchorData, result.currentData)
+    );
 
     console.log('Fingerprint comparison:', {
-      storedHash: storedHash?.substring(0, 8) + '...',
+      storedHash: deviceKey.fingerprint_hash.substring(0, 8) + '...',
       currentHash: currentHash?.substring(0, 8) + '...',
-      match
+      similarity: similarity.toFixed(3),
+      tolerance
     });
 
-    return match;
+    return {
+      ...result,
+      match: similarity >= tolerance,
+      changed: true,
+      similarity,
+      changedAttributes: getChangedAttributes(storedData, result.currentData)
+    };
   } catch (error) {
     console.error('Fingerprint comparison error:', error);
-    return false;
+    return noMatch;
+  }
+};
+
+// Keep a device's stored fingerprint current after compareFingerprints. Changes are written to
+// fingerprint_drift; accepted ones become the device's latest fingerprint, while the sign-in
+// fingerprint stays as the anchor (devices that predate it get their current one). Never throws.
+export const recordFingerprintDrift = async (req, deviceKey, comparison) => {
+  try {
+    if (!comparison.currentData) {
+      return;
+    }
+
+    if (comparison.changed) {
+      await database.run(`
+        INSERT INTO fingerprint_drift
+          (device_key_id, user_id, similarity, changed_attributes, accepted, ip_address)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [deviceKey.id, deviceKey.user_id, comparison.similarity.toFixed(3),
+        JSON.stringify(comparison.changedAttributes), comparison.match, req.securityContext?.ip || null]);
+    }
+
+    // Accepted changes, and devices that only have a hash so far, store the current attributes.
+    // The anchor is set first because MySQL assigns left to right.
+    if (comparison.match && (comparison.changed || !deviceKey.fingerprint_data)) {
+      const currentData = encodeFingerprint(comparison.currentData);
+      await database.run(`
+        UPDATE device_keys
+        SET anchor_fingerprint_data = COALESCE(anchor_fingerprint_data, fingerprint_data, ?),
+          fingerprint_hash = ?, fingerprint_data = ?
+        WHERE id = ?
+      `, [currentData, comparison.currentHash, currentData, deviceKey.id]);
+    }
+  } catch (error) {
+    console.error('Failed to record fingerprint drift:', error);
   }
 };
 
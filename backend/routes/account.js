@@ -0,0 +1,221 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import rateLimit from 'express-rate-limit';
+import { body, validationResult } from 'express-validator';
+import { database } from '../config/database.js';
+import { logRequest } from '../middleware/security.js';
+import { authenticateToken, blockImpersonation, isRecentAuth } from '../middleware/auth.js';
+import { revokeOtherDevices } from '../utils/refreshTokens.js';
+import { createChallenge, getRelyingParty } from '../utils/webauthn.js';
+import { verifyStepUp } from '../utils/stepUp.js';
+import { requestEmailChange, confirmEmailChange } from '../utils/emailChange.js';
+import { sendMail } from '../utils/mailer.js';
+import { AUDIT_EVENTS, recordAuditEvent } from '../utils/auditLog.js';
+
+const router = express.Router();
+
+// Step-up attempts are guesses at the current password, so keep them scarce
+const accountChangeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'development' ? 100 : 10,
+  message: {
+    error: 'Too many attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Fields every credential change accepts to prove it's the account owner
+const stepUpValidation = [
+  body('currentPassword').optional().isLength({ min: 1, max: 128 }),
+  body('code').optional().isString().trim(),
+  body('recoveryCode').optional().isString().trim(),
+  body('credential').optional().isObject()
+];
+
+// A recent sign-in or POST /auth/reauthenticate stands in for a proof in the request body
+const hasStepUp = async (req, user) => {
+  return isRecentAuth(req.user) || verifyStepUp(user, req.body);
+};
+
+const getAccountUser = (userId) => {
+  return database.get(`
+    SELECT id, username, email, password_hash, totp_enabled, totp_secret
+    FROM users WHERE id = ? AND is_active = TRUE
+  `, [userId]);
+};
+
+// Passkey challenge for re-authenticating before a credential change
+router.post('/step-up/options', authenticateToken, blockImpersonation, async (req, res) => {
+  try {
+    const credentials = await database.all(`
+      SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = ?
+    `, [req.user.id]);
+
+    if (credentials.length === 0) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'No passkeys registered' });
+    }
+
+    const challenge = await createChallenge('stepup', req.user.id);
+
+    await logRequest(req, req.user.id, 200);
+
+    res.json({
+      publicKey: {
+        challenge,
+        rpId: getRelyingParty().id,
+        timeout: 5 * 60 * 1000,
+        userVerification: 'required',
+        allowCredentials: credentials.map(credential => ({
+          type: 'public-key',
+          id: credential.credential_id,
+          transports: credential.transports ? credential.transports.split(',') : undefined
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Step-up options error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to start re-authentication' });
+  }
+});
+
+// Change password; every other device is signed out
+router.post('/password', authenticateToken, blockImpersonation, accountChangeLimiter, [
+  body('newPassword').isLength({ min: 8, max: 128 }),
+  ...stepUpValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await getAccountUser(req.user.id);
+
+    if (!await hasStepUp(req, user)) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Invalid password or verification code' });
+    }
+
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const passwordHash = await bcrypt.hash(req.body.newPassword, saltRounds);
+
+    await database.run(`
+      UPDATE users
+      SET password_hash = ?, password_reset_token_hash = NULL, password_reset_expires_at = NULL
+      WHERE id = ?
+    `, [passwordHash, user.id]);
+
+    const revoked = await revokeOtherDevices(user.id, req.user.deviceKeyId, 'password_changed');
+
+    await recordAuditEvent(req, AUDIT_EVENTS.PASSWORD_CHANGED, {
+      metadata: { method: 'change', revokedDevices: revoked }
+    });
+
+    sendMail({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: `The password for your account was just changed and other devices were signed out.\n\n` +
+        `If this wasn't you, reset your password and contact support immediately.`
+    }).catch((error) => console.error('Failed to send password change notice:', error));
+
+    await logRequest(req, req.user.id, 200);
+    res.json({ message: 'Password changed. Other devices have been signed out.', revoked });
+  } catch (error) {
+    console.error('Password change error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Start an email change; the new address has to be confirmed before it takes effect
+router.post('/email', authenticateToken, blockImpersonation, accountChangeLimiter, [
+  body('newEmail').isEmail().normalizeEmail(),
+  ...stepUpValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await getAccountUser(req.user.id);
+    const { newEmail } = req.body;
+
+    if (!await hasStepUp(req, user)) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Invalid password or verification code' });
+    }
+
+    if (newEmail === user.email) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'That is already your email address' });
+    }
+
+    const existingUser = await database.get('SELECT id FROM users WHERE email = ?', [newEmail]);
+    if (existingUser) {
+      await logRequest(req, req.user.id, 409);
+      return res.status(409).json({ error: 'Email already in use' });
+    }
+
+    await requestEmailChange(user, newEmail, req.user.deviceKeyId);
+
+    await logRequest(req, req.user.id, 200);
+    res.json({ message: 'Check your new inbox to confirm the change.', pendingEmail: newEmail });
+  } catch (error) {
+    console.error('Email change error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to change email' });
+  }
+});
+
+// Confirm an email change with the token sent to the new address; works without a session
+// so the link can be opened on any device
+router.post('/email/confirm', accountChangeLimiter, [
+  body('token').isString().isLength({ min: 1, max: 128 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    let confirmed;
+    try {
+      confirmed = await confirmEmailChange(req.body.token);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        await logRequest(req, null, 409);
+        return res.status(409).json({ error: 'Email already in use' });
+      }
+      throw error;
+    }
+
+    if (!confirmed) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'Invalid or expired confirmation link' });
+    }
+
+    const revoked = await revokeOtherDevices(confirmed.userId, confirmed.deviceKeyId, 'email_changed');
+
+    await recordAuditEvent(req, AUDIT_EVENTS.EMAIL_CHANGED, {
+      targetUserId: confirmed.userId,
+      actorUserId: confirmed.userId,
+      metadata: { revokedDevices: revoked }
+    });
+
+    await logRequest(req, confirmed.userId, 200);
+    res.json({ message: 'Email address changed. Other devices have been signed out.' });
+  } catch (error) {
+    console.error('Email change confirmation error:', error);
+    await logRequest(req, null, 500);
+    res.status(500).json({ error: 'Failed to confirm email change' });
+  }
+});
+
+export default router;
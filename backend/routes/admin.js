@@ -0,0 +1,345 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { database } from '../config/database.js';
+import { authenticateToken, requirePermission, requireRecentAuth } from '../middleware/auth.js';
+import { logRequest } from '../middleware/security.js';
+import { revokeOtherDevices } from '../utils/refreshTokens.js';
+import { PERMISSIONS } from '../utils/roles.js';
+import { validateJWK } from '../utils/crypto.js';
+import { AUDIT_EVENTS, recordAuditEvent } from '../utils/auditLog.js';
+import { startImpersonation, endImpersonation } from '../utils/impersonation.js';
+import { extractWatermark } from '../utils/dataPoisoning.js';
+import { INCIDENT_TYPES } from '../utils/securityIncidents.js';
+
+const router = express.Router();
+
+// Every admin route needs a signed-in user; each route names the permission it needs
+router.use(authenticateToken);
+
+const formatUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  isActive: !!user.is_active,
+  locked: !!user.locked_until && new Date(user.locked_until) > new Date(),
+  lockedUntil: user.locked_until,
+  loginAttempts: user.login_attempts,
+  emailVerified: !!user.email_verified_at,
+  twoFactorEnabled: !!user.totp_enabled,
+  roles: user.roles ? user.roles.split(',') : [],
+  createdAt: user.created_at
+});
+
+const getAdminUser = (userId) => {
+  return database.get(`
+    SELECT u.id, u.username, u.email, u.is_active, u.locked_until, u.login_attempts,
+           u.email_verified_at, u.totp_enabled, u.created_at,
+           (SELECT GROUP_CONCAT(r.name ORDER BY r.name)
+            FROM user_roles ur JOIN roles r ON ur.role_id = r.id
+            WHERE ur.user_id = u.id) AS roles
+    FROM users u WHERE u.id = ?
+  `, [userId]);
+};
+
+// List users, newest first; search matches username or email
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('search').optional().isLength({ max: 100 }).trim(),
+  query('status').optional().isIn(['active', 'suspended', 'locked'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (req.query.search) {
+      conditions.push('(u.username LIKE ? OR u.email LIKE ?)');
+      params.push(`%${req.query.search}%`, `%${req.query.search}%`);
+    }
+
+    if (req.query.status === 'active') {
+      conditions.push('u.is_active = TRUE');
+    } else if (req.query.status === 'suspended') {
+      conditions.push('u.is_active = FALSE');
+    } else if (req.query.status === 'locked') {
+      conditions.push('u.locked_until > NOW()');
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { total } = await database.get(`SELECT COUNT(*) as total FROM users u ${whereClause}`, params);
+
+    // LIMIT/OFFSET are interpolated as numbers, as in the posts list
+    const users = await database.all(`
+      SELECT u.id, u.username, u.email, u.is_active, u.locked_until, u.login_attempts,
+             u.email_verified_at, u.totp_enabled, u.created_at,
+             (SELECT GROUP_CONCAT(r.name ORDER BY r.name)
+              FROM user_roles ur JOIN roles r ON ur.role_id = r.id
+              WHERE ur.user_id = u.id) AS roles
+      FROM users u ${whereClause}
+      ORDER BY u.created_at DESC
+      LIMIT ${Number(limit)} OFFSET ${Number(offset)}
+    `, params);
+
+    await logRequest(req, req.user.id, 200);
+
+    res.json({
+      users: users.map(formatUser),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Suspend an account; its sessions end immediately and it can't sign in until reactivated
+router.post('/users/:id/suspend', requirePermission(PERMISSIONS.USERS_SUSPEND), requireRecentAuth(), [
+  param('id').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const userId = req.params.id;
+
+    if (userId === req.user.id) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'You cannot suspend your own account' });
+    }
+
+    const result = await database.run('UPDATE users SET is_active = FALSE WHERE id = ?', [userId]);
+    if (result.changes === 0) {
+      await logRequest(req, req.user.id, 404);
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revoked = await revokeOtherDevices(userId, null, 'account_suspended');
+
+    await recordAuditEvent(req, AUDIT_EVENTS.ACCOUNT_SUSPENDED, {
+      targetUserId: userId,
+      metadata: { revokedDevices: revoked }
+    });
+
+    await logRequest(req, req.user.id, 200);
+    res.json({ message: 'User suspended', revoked, user: formatUser(await getAdminUser(userId)) });
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+// Lift a suspension
+router.post('/users/:id/reactivate', requirePermission(PERMISSIONS.USERS_SUSPEND), requireRecentAuth(), [
+  param('id').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const result = await database.run('UPDATE users SET is_active = TRUE WHERE id = ?', [req.params.id]);
+    if (result.changes === 0) {
+      await logRequest(req, req.user.id, 404);
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.ACCOUNT_REACTIVATED, { targetUserId: req.params.id });
+    await logRequest(req, req.user.id, 200);
+    res.json({ message: 'User reactivated', user: formatUser(await getAdminUser(req.params.id)) });
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to reactivate user' });
+  }
+});
+
+// Clear a lockout from too many failed logins
+router.post('/users/:id/unlock', requirePermission(PERMISSIONS.USERS_UNLOCK), requireRecentAuth(), [
+  param('id').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const result = await database.run(`
+      UPDATE users SET login_attempts = 0, locked_until = NULL WHERE id = ?
+    `, [req.params.id]);
+    if (result.changes === 0) {
+      await logRequest(req, req.user.id, 404);
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await recordAuditEvent(req, AUDIT_EVENTS.ACCOUNT_UNLOCKED, { targetUserId: req.params.id });
+    await logRequest(req, req.user.id, 200);
+    res.json({ message: 'User unlocked', user: formatUser(await getAdminUser(req.params.id)) });
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+// Act as a user to see what they see. The caller's browser supplies a new device key; the
+// token it gets is short-lived, can't be refreshed and is kept away from credential changes.
+router.post('/users/:id/impersonate', requirePermission(PERMISSIONS.USERS_IMPERSONATE), requireRecentAuth(), [
+  param('id').isInt({ min: 1 }).toInt(),
+  body('publicKeyJwk').custom((value) => {
+    if (!validateJWK(value)) {
+      throw new Error('Invalid public key format');
+    }
+    return true;
+  }),
+  body('reason').optional().isString().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const target = await getAdminUser(req.params.id);
+    if (!target) {
+      await logRequest(req, req.user.id, 404);
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (target.id === req.user.id) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+
+    if (!target.is_active) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Suspended users cannot be impersonated' });
+    }
+
+    // Impersonating another admin would be a way around your own permissions
+    if (target.roles) {
+      await logRequest(req, req.user.id, 403);
+      return res.status(403).json({ error: 'Users with roles cannot be impersonated' });
+    }
+
+    const { accessToken, expiresIn } = await startImpersonation(
+      req, req.user, target, req.body.publicKeyJwk, req.body.reason || null
+    );
+
+    await logRequest(req, req.user.id, 200);
+
+    res.json({
+      message: `Now impersonating ${target.username}`,
+      accessToken,
+      expiresIn,
+      user: {
+        id: target.id,
+        username: target.username,
+        email: target.email,
+        emailVerified: !!target.email_verified_at,
+        roles: [],
+        permissions: [],
+        impersonator: { id: req.user.id, username: req.user.username }
+      }
+    });
+  } catch (error) {
+    console.error('Admin impersonate user error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to impersonate user' });
+  }
+});
+
+// End the impersonation session making the request
+router.post('/impersonation/end', async (req, res) => {
+  try {
+    if (!req.user.impersonator) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Not impersonating a user' });
+    }
+
+    await endImpersonation(req);
+
+    await logRequest(req, req.user.id, 200);
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to end impersonation' });
+  }
+});
+
+// Find who a leaked dataset was served to, from the watermark in its fabricated records
+router.post('/watermarks/trace', requirePermission(PERMISSIONS.INCIDENTS_READ), [
+  body('text').isString().isLength({ min: 1, max: 100000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const watermark = extractWatermark(req.body.text);
+    if (!watermark) {
+      await logRequest(req, req.user.id, 404);
+      return res.status(404).json({ error: 'No watermark found' });
+    }
+
+    const incidents = await database.all(`
+      SELECT client_id, ip_address, user_agent, details, created_at
+      FROM security_incidents
+      WHERE incident_type = ? AND JSON_UNQUOTE(JSON_EXTRACT(details, '$.watermark')) = ?
+      ORDER BY created_at
+    `, [INCIDENT_TYPES.DATA_POISONED, watermark]);
+
+    if (incidents.length === 0) {
+      await logRequest(req, req.user.id, 404);
+      return res.status(404).json({ error: 'Watermark not issued', watermark });
+    }
+
+    const user = await getAdminUser(incidents[0].details.userId);
+
+    await logRequest(req, req.user.id, 200);
+    res.json({
+      watermark,
+      user: user ? formatUser(user) : null,
+      incidents: incidents.map(incident => ({
+        clientId: incident.client_id,
+        ip: incident.ip_address,
+        userAgent: incident.user_agent,
+        riskScore: incident.details.score,
+        createdAt: incident.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Admin watermark trace error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to trace watermark' });
+  }
+});
+
+export default router;
@@ -1,18 +1,64 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import { body, validationResult } from 'express-validator';
+import rateLimit from 'express-rate-limit';
+import { body, query, validationResult } from 'express-validator';
 import { v4 as uuidv4 } from 'uuid';
 import { database } from '../config/database.js';
 import { 
   generateAccessToken, 
-  generateRefreshToken, 
+  verifyAccessToken,
   verifyRefreshToken,
   hashRefreshToken,
   generateKeyThumbprint,
+  generateDPoPNonce,
+  generateMfaToken,
+  verifyMfaToken,
   validateJWK
 } from '../utils/crypto.js';
-import { hashFingerprint, logRequest } from '../middleware/security.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { hashFingerprint, logRequest, compareFingerprints, getFingerprintTolerance } from '../middleware/security.js';
+import { recordRiskDecision, sendRiskRejection } from '../middleware/risk.js';
+import { assessRisk, RISK_ACTIONS } from '../utils/riskEngine.js';
+import { encodeFingerprint } from '../utils/fingerprint.js';
+import {
+  authenticateToken,
+  authenticateServiceClient,
+  requireRecentAuth,
+  blockImpersonation,
+  reauthLimiter
+} from '../middleware/auth.js';
+import {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeUserSessions,
+  revokeDevice,
+  revokeOtherDevices,
+  setRefreshTokenCookie
+} from '../utils/refreshTokens.js';
+import {
+  denyAccessToken,
+  isAccessTokenDenied
+} from '../utils/accessTokenDenylist.js';
+import { verifySecondFactor } from '../utils/twoFactor.js';
+import { verifyReauthentication } from '../utils/stepUp.js';
+import { requestPasswordReset, resetPassword } from '../utils/passwordReset.js';
+import {
+  getEmailVerificationPolicy,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmailToken
+} from '../utils/emailVerification.js';
+import { summarizeUserAgent } from '../utils/userAgent.js';
+import { getUserAccess } from '../utils/roles.js';
+import { AUDIT_EVENTS, recordAuditEvent, getAuditEvents } from '../utils/auditLog.js';
+import {
+  SUPPORTED_COSE_ALGS,
+  getRelyingParty,
+  createChallenge,
+  consumeChallenge,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+} from '../utils/webauthn.js';
 
 const router = express.Router();
 
@@ -61,49 +107,72 @@ router.post('/register', [
 
     const userId = userResult.id;
 
+    await recordAuditEvent(req, AUDIT_EVENTS.ACCOUNT_CREATED, { targetUserId: userId, actorUserId: userId });
+
+    // Not awaited so a slow mail server doesn't hold up sign-up; the user can resend
+    sendVerificationEmail({ id: userId, username, email }).catch((error) => {
+      console.error('Failed to send verification email:', error);
+    });
+
+    // Unverified accounts can't sign in under the "block" policy, so don't start a session
+    if (getEmailVerificationPolicy() === 'block') {
+      await logRequest(req, userId, 201);
+      return res.status(201).json({
+        message: 'User registered successfully. Check your email to verify your account.',
+        emailVerificationRequired: true,
+        user: {
+          id: userId,
+          username,
+          email,
+          emailVerified: false
+        }
+      });
+    }
+
     // Generate key ID and thumbprint
     const keyId = uuidv4();
     const keyThumbprint = generateKeyThumbprint(publicKeyJwk);
     const fingerprintHash = fingerprint ? hashFingerprint(fingerprint) : null;
+    const fingerprintData = encodeFingerprint(fingerprint);
 
     // Store device key
+    const authTime = new Date();
     const deviceKeyResult = await database.run(`
-      INSERT INTO device_keys (user_id, key_id, public_key_jwk, fingerprint_hash)
-      VALUES (?, ?, ?, ?)
-    `, [userId, keyId, JSON.stringify(publicKeyJwk), fingerprintHash]);
+      INSERT INTO device_keys
+        (user_id, key_id, public_key_jwk, fingerprint_hash, fingerprint_data, anchor_fingerprint_data,
+         last_ip, user_agent, auth_time, acr)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [userId, keyId, JSON.stringify(publicKeyJwk), fingerprintHash, fingerprintData,
+        fingerprintData, req.securityContext?.ip, req.securityContext?.userAgent, authTime, 'aal1']);
 
     const deviceKeyId = deviceKeyResult.id;
 
-    // Generate tokens
-    const accessToken = generateAccessToken(userId, keyThumbprint, deviceKeyId);
-    const refreshToken = generateRefreshToken(userId, deviceKeyId);
+    await recordAuditEvent(req, AUDIT_EVENTS.DEVICE_KEY_CREATED, {
+      targetUserId: userId,
+      actorUserId: userId,
+      fingerprintHash,
+      metadata: { deviceKeyId }
+    });
 
-    // Store refresh token hash
-    const refreshTokenHash = hashRefreshToken(refreshToken);
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+    // Generate tokens
+    const accessToken = await generateAccessToken(userId, keyThumbprint, deviceKeyId, { authTime, acr: 'aal1' });
 
-    await database.run(`
-      INSERT INTO refresh_tokens (user_id, token_hash, device_key_id, expires_at)
-      VALUES (?, ?, ?, ?)
-    `, [userId, refreshTokenHash, deviceKeyId, expiresAt]);
-
-    // Set refresh token as HTTP-only cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // Start a new refresh token family for this device
+    const { refreshToken } = await issueRefreshToken(userId, deviceKeyId, { accessToken });
+    setRefreshTokenCookie(res, refreshToken);
+    res.set('DPoP-Nonce', generateDPoPNonce());
 
     await logRequest(req, userId, 201);
 
     res.status(201).json({
       message: 'User registered successfully',
+      emailVerificationRequired: true,
       accessToken,
       user: {
         id: userId,
         username,
-        email
+        email,
+        emailVerified: false
       },
       deviceKeyId: keyId
     });
@@ -114,10 +183,121 @@ router.post('/register', [
   }
 });
 
-// Login user
-router.post('/login', [
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 1, max: 128 }),
+// Count a failed sign-in attempt and lock the account after too many
+const recordFailedLogin = async (req, user, method) => {
+  const attempts = (user.login_attempts || 0) + 1;
+  const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+
+  let lockedUntil = null;
+  if (attempts >= maxAttempts) {
+    const lockoutTime = parseInt(process.env.LOCKOUT_TIME) || 15 * 60 * 1000; // 15 minutes
+    lockedUntil = new Date(Date.now() + lockoutTime);
+  }
+
+  await database.run(`
+    UPDATE users 
+    SET login_attempts = ?, locked_until = ?
+    WHERE id = ?
+  `, [attempts, lockedUntil, user.id]);
+
+  await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILED, {
+    targetUserId: user.id,
+    actorUserId: null,
+    metadata: { method, attempts }
+  });
+
+  if (lockedUntil) {
+    await recordAuditEvent(req, AUDIT_EVENTS.ACCOUNT_LOCKED, {
+      targetUserId: user.id,
+      actorUserId: null,
+      metadata: { attempts, lockedUntil }
+    });
+  }
+};
+
+// Sign-in attempt on a locked account
+const recordLockedLogin = async (req, userId, method) => {
+  await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILED, {
+    targetUserId: userId,
+    actorUserId: null,
+    metadata: { method, reason: 'locked' }
+  });
+};
+
+// Register the device key and issue device-bound tokens for a fully authenticated user.
+// method is how they signed in ('password', 'totp' or 'passkey'), for the audit log.
+const startDeviceSession = async (req, res, user, publicKeyJwk, fingerprint, { acr, method }) => {
+  if (!user.email_verified_at && getEmailVerificationPolicy() === 'block') {
+    await logRequest(req, user.id, 403);
+    return res.status(403).json({ error: 'email_not_verified', details: 'Verify your email address before signing in' });
+  }
+
+  // Reset login attempts on successful login
+  await database.run(`
+    UPDATE users 
+    SET login_attempts = 0, locked_until = NULL
+    WHERE id = ?
+  `, [user.id]);
+
+  // Generate key ID and thumbprint
+  const keyId = uuidv4();
+  const keyThumbprint = generateKeyThumbprint(publicKeyJwk);
+  const fingerprintHash = fingerprint ? hashFingerprint(fingerprint) : null;
+  const fingerprintData = encodeFingerprint(fingerprint);
+
+  // Store device key
+  const authTime = new Date();
+  const deviceKeyResult = await database.run(`
+    INSERT INTO device_keys
+      (user_id, key_id, public_key_jwk, fingerprint_hash, fingerprint_data, anchor_fingerprint_data,
+       last_ip, user_agent, auth_time, acr)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [user.id, keyId, JSON.stringify(publicKeyJwk), fingerprintHash, fingerprintData,
+      fingerprintData, req.securityContext?.ip, req.securityContext?.userAgent, authTime, acr]);
+
+  const deviceKeyId = deviceKeyResult.id;
+
+  await recordAuditEvent(req, AUDIT_EVENTS.DEVICE_KEY_CREATED, {
+    targetUserId: user.id,
+    actorUserId: user.id,
+    fingerprintHash,
+    metadata: { deviceKeyId }
+  });
+  await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_SUCCEEDED, {
+    targetUserId: user.id,
+    actorUserId: user.id,
+    fingerprintHash,
+    metadata: { method, acr, deviceKeyId }
+  });
+
+  // Generate tokens
+  const accessToken = await generateAccessToken(user.id, keyThumbprint, deviceKeyId, { authTime, acr });
+
+  // Start a new refresh token family for this device
+  const { refreshToken } = await issueRefreshToken(user.id, deviceKeyId, { accessToken });
+  setRefreshTokenCookie(res, refreshToken);
+  res.set('DPoP-Nonce', generateDPoPNonce());
+
+  const { roles, permissions } = await getUserAccess(user.id);
+
+  await logRequest(req, user.id, 200);
+
+  res.json({
+    message: 'Login successful',
+    accessToken,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      emailVerified: !!user.email_verified_at,
+      roles,
+      permissions
+    },
+    deviceKeyId: keyId
+  });
+};
+
+const deviceKeyValidation = [
   body('publicKeyJwk').custom((value) => {
     if (!validateJWK(value)) {
       throw new Error('Invalid public key format');
@@ -125,6 +305,13 @@ router.post('/login', [
     return true;
   }),
   body('fingerprint').optional().isObject()
+];
+
+// Login user
+router.post('/login', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 1, max: 128 }),
+  ...deviceKeyValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -137,10 +324,24 @@ router.post('/login', [
 
     // Get user
     const user = await database.get(`
-      SELECT id, username, email, password_hash, login_attempts, locked_until, is_active
+      SELECT id, username, email, password_hash, login_attempts, locked_until, is_active, totp_enabled,
+             email_verified_at
       FROM users WHERE email = ?
     `, [email]);
 
+    // Scored before the password is checked, so the answer doesn't reveal whether it was right.
+    // A second factor is the step-up; accounts without one get the challenge instead.
+    const risk = await assessRisk(req, {
+      fingerprint,
+      userId: user?.id,
+      loginAttempts: user?.login_attempts || 0
+    });
+    if (risk.action !== RISK_ACTIONS.ALLOW && !(risk.action === RISK_ACTIONS.STEP_UP && user?.totp_enabled)) {
+      const rejected = risk.action === RISK_ACTIONS.STEP_UP ? { ...risk, action: RISK_ACTIONS.CHALLENGE } : risk;
+      await recordRiskDecision(req, rejected, 'login', user?.id);
+      return sendRiskRejection(req, res, rejected, user?.id);
+    }
+
     if (!user || !user.is_active) {
       await logRequest(req, null, 401);
       return res.status(401).json({ error: 'Invalid credentials' });
@@ -148,6 +349,7 @@ router.post('/login', [
 
     // Check if account is locked
     if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      await recordLockedLogin(req, user.id, 'password');
       await logRequest(req, user.id, 423);
       return res.status(423).json({ error: 'Account temporarily locked' });
     }
@@ -155,87 +357,528 @@ router.post('/login', [
     // Verify password
     const passwordValid = await bcrypt.compare(password, user.password_hash);
     if (!passwordValid) {
-      // Increment login attempts
-      const attempts = (user.login_attempts || 0) + 1;
-      const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
-      
-      let lockedUntil = null;
-      if (attempts >= maxAttempts) {
-        const lockoutTime = parseInt(process.env.LOCKOUT_TIME) || 15 * 60 * 1000; // 15 minutes
-        lockedUntil = new Date(Date.now() + lockoutTime);
-      }
+      await recordFailedLogin(req, user, 'password');
+      await logRequest(req, user.id, 401);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
 
-      await database.run(`
-        UPDATE users 
-        SET login_attempts = ?, locked_until = ?
-        WHERE id = ?
-      `, [attempts, lockedUntil, user.id]);
+    // With 2FA enabled, tokens are only issued by /login/2fa
+    if (user.totp_enabled) {
+      await logRequest(req, user.id, 200);
+      return res.json({
+        twoFactorRequired: true,
+        mfaToken: generateMfaToken(user.id, generateKeyThumbprint(publicKeyJwk))
+      });
+    }
 
-      await logRequest(req, user.id, 401);
+    await startDeviceSession(req, res, user, publicKeyJwk, fingerprint, { acr: 'aal1', method: 'password' });
+  } catch (error) {
+    console.error('Login error:', error);
+    await logRequest(req, null, 500);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Login second step: TOTP or recovery code
+router.post('/login/2fa', reauthLimiter, [
+  body('mfaToken').isString(),
+  body('code').optional().isString().trim(),
+  body('recoveryCode').optional().isString().trim(),
+  ...deviceKeyValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { mfaToken, code, recoveryCode, publicKeyJwk, fingerprint } = req.body;
+
+    let payload;
+    try {
+      payload = verifyMfaToken(mfaToken);
+    } catch (error) {
+      await logRequest(req, null, 401);
+      return res.status(401).json({ error: 'Login session expired, please sign in again' });
+    }
+
+    // The device key must be the one presented with the password
+    if (payload.jkt !== generateKeyThumbprint(publicKeyJwk)) {
+      await logRequest(req, null, 401);
+      return res.status(401).json({ error: 'Device key mismatch' });
+    }
+
+    const user = await database.get(`
+      SELECT id, username, email, login_attempts, locked_until, is_active, totp_enabled, totp_secret,
+             email_verified_at
+      FROM users WHERE id = ?
+    `, [parseInt(payload.sub)]);
+
+    if (!user || !user.is_active || !user.totp_enabled) {
+      await logRequest(req, null, 401);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Reset login attempts on successful login
-    await database.run(`
-      UPDATE users 
-      SET login_attempts = 0, locked_until = NULL
-      WHERE id = ?
-    `, [user.id]);
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      await recordLockedLogin(req, user.id, 'totp');
+      await logRequest(req, user.id, 423);
+      return res.status(423).json({ error: 'Account temporarily locked' });
+    }
 
-    // Generate key ID and thumbprint
-    const keyId = uuidv4();
-    const keyThumbprint = generateKeyThumbprint(publicKeyJwk);
-    const fingerprintHash = fingerprint ? hashFingerprint(fingerprint) : null;
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+      await recordFailedLogin(req, user, 'totp');
+      await logRequest(req, user.id, 401);
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
 
-    // Store device key
-    const deviceKeyResult = await database.run(`
-      INSERT INTO device_keys (user_id, key_id, public_key_jwk, fingerprint_hash)
-      VALUES (?, ?, ?, ?)
-    `, [user.id, keyId, JSON.stringify(publicKeyJwk), fingerprintHash]);
+    await startDeviceSession(req, res, user, publicKeyJwk, fingerprint, { acr: 'aal2', method: 'totp' });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    await logRequest(req, null, 500);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
 
-    const deviceKeyId = deviceKeyResult.id;
+// Requests that send email are counted per IP whether or not the address exists
+const emailRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'development' ? 50 : 5,
+  message: {
+    error: 'Too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user.id, keyThumbprint, deviceKeyId);
-    const refreshToken = generateRefreshToken(user.id, deviceKeyId);
+// Request a password reset email
+router.post('/password/forgot', emailRequestLimiter, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    await logRequest(req, null, 400);
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
 
-    // Store refresh token hash
-    const refreshTokenHash = hashRefreshToken(refreshToken);
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+  // Not awaited: the response must not depend on whether the account exists
+  requestPasswordReset(req.body.email).catch((error) => {
+    console.error('Password reset request error:', error);
+  });
 
-    await database.run(`
-      INSERT INTO refresh_tokens (user_id, token_hash, device_key_id, expires_at)
-      VALUES (?, ?, ?, ?)
-    `, [user.id, refreshTokenHash, deviceKeyId, expiresAt]);
-
-    // Set refresh token as HTTP-only cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  await logRequest(req, null, 200);
+  res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+});
+
+// Set a new password with a reset token; signs the user out everywhere
+router.post('/password/reset', emailRequestLimiter, [
+  body('token').isString().isLength({ min: 1, max: 128 }),
+  body('password').isLength({ min: 8, max: 128 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const passwordHash = await bcrypt.hash(req.body.password, saltRounds);
+
+    const userId = await resetPassword(req.body.token, passwordHash);
+    if (!userId) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    await revokeUserSessions(userId, 'password_reset');
+    await database.run('UPDATE device_keys SET is_active = 0 WHERE user_id = ?', [userId]);
+
+    await recordAuditEvent(req, AUDIT_EVENTS.PASSWORD_CHANGED, {
+      targetUserId: userId,
+      actorUserId: null,
+      metadata: { method: 'reset' }
     });
 
-    await logRequest(req, user.id, 200);
+    res.clearCookie('refreshToken');
+    await logRequest(req, userId, 200);
+
+    res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    await logRequest(req, null, 500);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.get('/verify-email', [
+  query('token').isString().isLength({ min: 1, max: 128 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const userId = await verifyEmailToken(req.query.token);
+    if (!userId) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    await logRequest(req, userId, 200);
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    await logRequest(req, null, 500);
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+});
+
+// Send a new verification email (same response whether or not the address needs one)
+router.post('/verify-email/resend', emailRequestLimiter, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    await logRequest(req, null, 400);
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  resendVerificationEmail(req.body.email).catch((error) => {
+    console.error('Verification resend error:', error);
+  });
+
+  await logRequest(req, null, 200);
+  res.json({ message: 'If that address still needs verifying, a new link has been sent.' });
+});
+
+// WebAuthn user handle: opaque, derived from the user id
+const toUserHandle = (userId) => Buffer.from(String(userId)).toString('base64url');
+
+// Passkey registration options for the signed-in user
+router.post('/webauthn/register/options', authenticateToken, blockImpersonation, requireRecentAuth(), async (req, res) => {
+  try {
+    const user = await database.get(`
+      SELECT id, username, email FROM users WHERE id = ? AND is_active = TRUE
+    `, [req.user.id]);
+
+    const existing = await database.all(`
+      SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = ?
+    `, [req.user.id]);
+
+    const rp = getRelyingParty();
+    const challenge = await createChallenge('registration', user.id);
+
+    await logRequest(req, req.user.id, 200);
 
     res.json({
-      message: 'Login successful',
-      accessToken,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email
-      },
-      deviceKeyId: keyId
+      publicKey: {
+        challenge,
+        rp: { id: rp.id, name: rp.name },
+        user: {
+          id: toUserHandle(user.id),
+          name: user.email,
+          displayName: user.username
+        },
+        pubKeyCredParams: SUPPORTED_COSE_ALGS.map(alg => ({ type: 'public-key', alg })),
+        timeout: 5 * 60 * 1000,
+        attestation: 'none',
+        authenticatorSelection: {
+          residentKey: 'required',
+          userVerification: 'required'
+        },
+        excludeCredentials: existing.map(credential => ({
+          type: 'public-key',
+          id: credential.credential_id,
+          transports: credential.transports ? credential.transports.split(',') : undefined
+        }))
+      }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Passkey registration options error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to start passkey registration' });
+  }
+});
+
+// Verify and store a new passkey
+router.post('/webauthn/register/verify', authenticateToken, blockImpersonation, [
+  body('credential').isObject(),
+  body('name').optional().isString().trim().isLength({ max: 100 }).escape()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { credential, name } = req.body;
+
+    const challenge = await consumeChallenge(credential.response?.clientDataJSON, 'registration', req.user.id);
+    if (!challenge) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Invalid or expired challenge' });
+    }
+
+    let verified;
+    try {
+      verified = verifyRegistrationResponse(credential, challenge);
+    } catch (error) {
+      console.warn('Passkey registration rejected:', error.message);
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Passkey verification failed' });
+    }
+
+    const existing = await database.get(`
+      SELECT id FROM webauthn_credentials WHERE credential_id = ?
+    `, [verified.credentialId]);
+
+    if (existing) {
+      await logRequest(req, req.user.id, 409);
+      return res.status(409).json({ error: 'Passkey already registered' });
+    }
+
+    const transports = Array.isArray(credential.response.transports)
+      ? credential.response.transports.join(',')
+      : null;
+
+    await database.run(`
+      INSERT INTO webauthn_credentials (user_id, credential_id, public_key_jwk, sign_count, transports, name)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      req.user.id, verified.credentialId, JSON.stringify(verified.publicKeyJwk),
+      verified.signCount, transports, name || null
+    ]);
+
+    await logRequest(req, req.user.id, 201);
+    res.status(201).json({ message: 'Passkey registered successfully', credentialId: verified.credentialId });
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Passkey registration failed' });
+  }
+});
+
+// Passkey sign-in options get login's limit, but every call stores a challenge row, so unlike
+// authLimiter (which only counts failures) successful calls count too
+const passkeyOptionsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'development' ? 50 : 5,
+  message: {
+    error: 'Too many authentication attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Passkey sign-in options (discoverable credentials, so no username is needed)
+router.post('/webauthn/login/options', passkeyOptionsLimiter, async (req, res) => {
+  try {
+    const challenge = await createChallenge('authentication');
+
+    await logRequest(req, null, 200);
+
+    res.json({
+      publicKey: {
+        challenge,
+        rpId: getRelyingParty().id,
+        timeout: 5 * 60 * 1000,
+        userVerification: 'required'
+      }
+    });
+  } catch (error) {
+    console.error('Passkey login options error:', error);
+    await logRequest(req, null, 500);
+    res.status(500).json({ error: 'Failed to start passkey sign-in' });
+  }
+});
+
+// Passwordless login: verify the assertion, then bind the session to the device key
+router.post('/webauthn/login/verify', [
+  body('credential').isObject(),
+  body('credential.id').isString().isLength({ min: 1, max: 1024 }),
+  ...deviceKeyValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { credential, publicKeyJwk, fingerprint } = req.body;
+
+    const challenge = await consumeChallenge(credential.response?.clientDataJSON, 'authentication');
+    if (!challenge) {
+      await logRequest(req, null, 401);
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    const storedCredential = await database.get(`
+      SELECT wc.id, wc.user_id, wc.public_key_jwk, wc.sign_count,
+             u.username, u.email, u.login_attempts, u.locked_until, u.is_active, u.email_verified_at
+      FROM webauthn_credentials wc
+      JOIN users u ON wc.user_id = u.id
+      WHERE wc.credential_id = ?
+    `, [credential.id]);
+
+    if (!storedCredential || !storedCredential.is_active) {
+      await logRequest(req, null, 401);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Same policy as password login, scored before the assertion is checked. A passkey is
+    // already a strong factor, so it satisfies step-up; challenge and block still apply.
+    const risk = await assessRisk(req, {
+      fingerprint,
+      userId: storedCredential.user_id,
+      loginAttempts: storedCredential.login_attempts || 0
+    });
+    if (risk.action !== RISK_ACTIONS.ALLOW && risk.action !== RISK_ACTIONS.STEP_UP) {
+      await recordRiskDecision(req, risk, 'login', storedCredential.user_id);
+      return sendRiskRejection(req, res, risk, storedCredential.user_id);
+    }
+
+    if (storedCredential.locked_until && new Date(storedCredential.locked_until) > new Date()) {
+      await recordLockedLogin(req, storedCredential.user_id, 'passkey');
+      await logRequest(req, storedCredential.user_id, 423);
+      return res.status(423).json({ error: 'Account temporarily locked' });
+    }
+
+    const userHandle = credential.response?.userHandle;
+    if (userHandle && userHandle !== toUserHandle(storedCredential.user_id)) {
+      await logRequest(req, storedCredential.user_id, 401);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    let signCount;
+    try {
+      signCount = verifyAuthenticationResponse(credential, challenge, storedCredential);
+    } catch (error) {
+      console.warn('Passkey assertion rejected:', error.message, { userId: storedCredential.user_id });
+      await recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILED, {
+        targetUserId: storedCredential.user_id,
+        actorUserId: null,
+        metadata: { method: 'passkey', reason: 'invalid_assertion' }
+      });
+      await logRequest(req, storedCredential.user_id, 401);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Conditional update so two concurrent assertions can't both pass the counter check
+    const result = await database.run(`
+      UPDATE webauthn_credentials
+      SET sign_count = ?, last_used = CURRENT_TIMESTAMP
+      WHERE id = ? AND sign_count = ?
+    `, [signCount, storedCredential.id, storedCredential.sign_count]);
+
+    if (result.changes !== 1) {
+      await logRequest(req, storedCredential.user_id, 401);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const user = {
+      id: storedCredential.user_id,
+      username: storedCredential.username,
+      email: storedCredential.email,
+      email_verified_at: storedCredential.email_verified_at
+    };
+
+    await startDeviceSession(req, res, user, publicKeyJwk, fingerprint, { acr: 'aal2', method: 'passkey' });
+  } catch (error) {
+    console.error('Passkey login error:', error);
     await logRequest(req, null, 500);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// Refresh access token
+// List the signed-in user's passkeys
+router.get('/webauthn/credentials', authenticateToken, async (req, res) => {
+  try {
+    const credentials = await database.all(`
+      SELECT id, name, created_at, last_used
+      FROM webauthn_credentials WHERE user_id = ?
+      ORDER BY created_at DESC
+    `, [req.user.id]);
+
+    await logRequest(req, req.user.id, 200);
+
+    res.json({
+      credentials: credentials.map(credential => ({
+        id: credential.id,
+        name: credential.name,
+        createdAt: credential.created_at,
+        lastUsed: credential.last_used
+      }))
+    });
+  } catch (error) {
+    console.error('Passkey list error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to fetch passkeys' });
+  }
+});
+
+// Remove a passkey
+router.delete('/webauthn/credentials/:id', authenticateToken, blockImpersonation, requireRecentAuth(), async (req, res) => {
+  try {
+    const result = await database.run(`
+      DELETE FROM webauthn_credentials WHERE id = ? AND user_id = ?
+    `, [req.params.id, req.user.id]);
+
+    if (result.changes === 0) {
+      await logRequest(req, req.user.id, 404);
+      return res.status(404).json({ error: 'Passkey not found' });
+    }
+
+    await logRequest(req, req.user.id, 200);
+    res.json({ message: 'Passkey removed successfully' });
+  } catch (error) {
+    console.error('Passkey removal error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to remove passkey' });
+  }
+});
+
+// Revoke the token family and its device key after a rotated refresh token is replayed
+const rejectReusedRefreshToken = async (req, res, storedToken) => {
+  console.warn('Refresh token reuse detected', {
+    userId: storedToken.user_id,
+    deviceKeyId: storedToken.device_key_id,
+    familyId: storedToken.family_id,
+    ip: req.securityContext?.ip
+  });
+
+  await revokeTokenFamily(storedToken, 'refresh_token_reuse');
+  await database.run('UPDATE device_keys SET is_active = 0 WHERE id = ?', [storedToken.device_key_id]);
+
+  await recordAuditEvent(req, AUDIT_EVENTS.TOKEN_REUSE_DETECTED, {
+    targetUserId: storedToken.user_id,
+    actorUserId: null,
+    metadata: { deviceKeyId: storedToken.device_key_id, familyId: storedToken.family_id }
+  });
+  await recordAuditEvent(req, AUDIT_EVENTS.DEVICE_KEY_REVOKED, {
+    targetUserId: storedToken.user_id,
+    actorUserId: null,
+    metadata: { deviceKeyId: storedToken.device_key_id, reason: 'refresh_token_reuse' }
+  });
+
+  res.clearCookie('refreshToken');
+  await logRequest(req, storedToken.user_id, 401);
+  return res.status(401).json({ error: 'Refresh token reuse detected' });
+};
+
+// Another request (e.g. a second tab) rotated the same token a moment ago. That's a race, not
+// theft: leave the family alive, and the cookie too, since it may already hold the winner's token.
+const rejectLostRotation = async (req, res, userId) => {
+  await logRequest(req, userId, 401);
+  return res.status(401).json({ error: 'Refresh token already rotated' });
+};
+
+// Refresh access token (rotates the refresh token)
 router.post('/refresh', async (req, res) => {
   try {
     const refreshToken = req.cookies.refreshToken;
@@ -255,28 +898,75 @@ router.post('/refresh', async (req, res) => {
     const userId = parseInt(payload.sub);
     const deviceKeyId = payload.device_key_id;
 
-    // Check if refresh token exists in database
+    // Look up the stored token, including revoked ones so reuse can be detected
     const refreshTokenHash = hashRefreshToken(refreshToken);
     const storedToken = await database.get(`
-      SELECT rt.*, dk.public_key_jwk, u.username, u.email, u.is_active
+      SELECT rt.*, dk.public_key_jwk, dk.is_active AS device_active, dk.auth_time, dk.acr,
+        dk.fingerprint_hash, dk.fingerprint_data, dk.anchor_fingerprint_data, u.username, u.email, u.is_active AS user_active
       FROM refresh_tokens rt
       JOIN device_keys dk ON rt.device_key_id = dk.id
       JOIN users u ON rt.user_id = u.id
       WHERE rt.token_hash = ? AND rt.user_id = ? AND rt.device_key_id = ?
-        AND rt.is_revoked = FALSE AND rt.expires_at > NOW()
-        AND dk.is_active = TRUE AND u.is_active = TRUE
     `, [refreshTokenHash, userId, deviceKeyId]);
 
     if (!storedToken) {
       res.clearCookie('refreshToken');
+      await logRequest(req, userId, 401);
+      return res.status(401).json({ error: 'Refresh token not found or expired' });
+    }
+
+    // A rotated token being presented again means it was copied: kill the whole family
+    if (storedToken.is_revoked && storedToken.replaced_by) {
+      return rejectReusedRefreshToken(req, res, storedToken);
+    }
+
+    if (storedToken.is_revoked || new Date(storedToken.expires_at) <= new Date() ||
+        !storedToken.device_active || !storedToken.user_active) {
+      res.clearCookie('refreshToken');
+      await logRequest(req, userId, 401);
       return res.status(401).json({ error: 'Refresh token not found or expired' });
     }
 
-    // Generate new access token
+    // A risky refresh can't be stepped up without an access token, so it means signing in again.
+    // The device's stored fingerprint is left alone; authenticateToken keeps it current.
+    const fingerprintComparison = storedToken.fingerprint_hash && req.get('X-Fingerprint')
+      ? compareFingerprints(storedToken, req.get('X-Fingerprint'), getFingerprintTolerance())
+      : null;
+    const risk = await assessRisk(req, { userId, fingerprintComparison });
+    if (risk.action !== RISK_ACTIONS.ALLOW) {
+      await recordRiskDecision(req, risk, 'refresh', userId);
+
+      if (risk.action !== RISK_ACTIONS.STEP_UP) {
+        return sendRiskRejection(req, res, risk, userId);
+      }
+
+      res.clearCookie('refreshToken');
+      await logRequest(req, userId, 401);
+      return res.status(401).json({ error: 'reauthentication_required', requireReauth: true });
+    }
+
+    // Generate new access token; refreshing doesn't count as authenticating again
     const publicKeyJwk = JSON.parse(storedToken.public_key_jwk);
     const keyThumbprint = generateKeyThumbprint(publicKeyJwk);
-    const accessToken = generateAccessToken(userId, keyThumbprint, deviceKeyId);
+    const accessToken = await generateAccessToken(userId, keyThumbprint, deviceKeyId, {
+      authTime: storedToken.auth_time,
+      acr: storedToken.acr
+    });
+
+    // Rotate: the presented token is revoked and replaced by a new one in the same family
+    const rotated = await rotateRefreshToken(storedToken, accessToken);
+    if (!rotated) {
+      return rejectLostRotation(req, res, userId);
+    }
+
+    setRefreshTokenCookie(res, rotated.refreshToken);
+    res.set('DPoP-Nonce', generateDPoPNonce());
 
+    await recordAuditEvent(req, AUDIT_EVENTS.TOKEN_REFRESHED, {
+      targetUserId: userId,
+      actorUserId: userId,
+      metadata: { deviceKeyId }
+    });
     await logRequest(req, userId, 200);
 
     res.json({
@@ -294,19 +984,25 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
-// Logout (revoke refresh token)
+// Logout: sign out this session (refresh token family and its access tokens)
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
     const refreshToken = req.cookies.refreshToken;
     if (refreshToken) {
       const refreshTokenHash = hashRefreshToken(refreshToken);
-      await database.run(`
-        UPDATE refresh_tokens
-        SET is_revoked = 1
+      const storedToken = await database.get(`
+        SELECT id, family_id FROM refresh_tokens
         WHERE token_hash = ? AND user_id = ?
       `, [refreshTokenHash, req.user.id]);
+
+      if (storedToken) {
+        await revokeTokenFamily(storedToken, 'logout');
+      }
     }
 
+    // The token used for this request may not be recorded in the cookie's family
+    await denyAccessToken(req.user.tokenJti, req.user.id, req.user.tokenExpiresAt, 'logout');
+
     res.clearCookie('refreshToken');
     await logRequest(req, req.user.id, 200);
 
@@ -318,11 +1014,259 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// Logout everywhere: revoke every refresh token and live access token of the user
+router.post('/logout-all', authenticateToken, blockImpersonation, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id, 'logout_all');
+    await denyAccessToken(req.user.tokenJti, req.user.id, req.user.tokenExpiresAt, 'logout_all');
+
+    res.clearCookie('refreshToken');
+    await logRequest(req, req.user.id, 200);
+
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Confirm the user's identity again to unlock operations behind requireRecentAuth. Issues an
+// access token with a fresh auth_time and rotates the refresh token so the new access token
+// is revoked along with the session.
+router.post('/reauthenticate', authenticateToken, blockImpersonation, reauthLimiter, [
+  body('password').optional().isLength({ min: 1, max: 128 }),
+  body('code').optional().isString().trim(),
+  body('recoveryCode').optional().isString().trim(),
+  body('credential').optional().isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const refreshToken = req.cookies.refreshToken;
+    const storedToken = refreshToken && await database.get(`
+      SELECT * FROM refresh_tokens
+      WHERE token_hash = ? AND user_id = ? AND device_key_id = ? AND is_revoked = FALSE AND expires_at > NOW()
+    `, [hashRefreshToken(refreshToken), req.user.id, req.user.deviceKeyId]);
+
+    if (!storedToken) {
+      await logRequest(req, req.user.id, 401);
+      return res.status(401).json({ error: 'Session expired, please sign in again' });
+    }
+
+    const user = await database.get(`
+      SELECT id, password_hash, totp_enabled, totp_secret
+      FROM users WHERE id = ? AND is_active = TRUE
+    `, [req.user.id]);
+
+    const acr = await verifyReauthentication(user, req.body);
+    if (!acr) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({
+        error: user.totp_enabled ? 'Invalid verification code' : 'Invalid password',
+        twoFactorRequired: !!user.totp_enabled
+      });
+    }
+
+    const authTime = new Date();
+    await database.run(`
+      UPDATE device_keys SET auth_time = ?, acr = ? WHERE id = ?
+    `, [authTime, acr, req.user.deviceKeyId]);
+
+    const deviceKey = await database.get('SELECT public_key_jwk FROM device_keys WHERE id = ?', [req.user.deviceKeyId]);
+    const keyThumbprint = generateKeyThumbprint(JSON.parse(deviceKey.public_key_jwk));
+    const accessToken = await generateAccessToken(req.user.id, keyThumbprint, req.user.deviceKeyId, { authTime, acr });
+
+    const rotated = await rotateRefreshToken(storedToken, accessToken);
+    if (!rotated) {
+      return rejectLostRotation(req, res, req.user.id);
+    }
+
+    setRefreshTokenCookie(res, rotated.refreshToken);
+    await logRequest(req, req.user.id, 200);
+
+    res.json({ accessToken, authTime, acr });
+  } catch (error) {
+    console.error('Reauthentication error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Reauthentication failed' });
+  }
+});
+
+// Look up an access token for introspection; null when it is not active
+const introspectAccessToken = async (token) => {
+  let payload;
+  try {
+    payload = await verifyAccessToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.type !== 'access' || await isAccessTokenDenied(payload.jti)) {
+    return null;
+  }
+
+  // Same liveness rules as authenticateToken: device key and user must still be active
+  const deviceKey = await database.get(`
+    SELECT dk.id, u.username
+    FROM device_keys dk
+    JOIN users u ON dk.user_id = u.id
+    WHERE dk.id = ? AND dk.user_id = ? AND dk.is_active = 1 AND u.is_active = 1
+  `, [payload.device_key_id, parseInt(payload.sub)]);
+
+  if (!deviceKey) {
+    return null;
+  }
+
+  return {
+    active: true,
+    token_type: 'access_token',
+    sub: payload.sub,
+    username: deviceKey.username,
+    cnf: payload.cnf,
+    device_key_id: payload.device_key_id,
+    auth_time: payload.auth_time,
+    acr: payload.acr,
+    act: payload.act,
+    iat: payload.iat,
+    exp: payload.exp,
+    iss: payload.iss,
+    aud: payload.aud
+  };
+};
+
+// Look up a refresh token for introspection; null when it is not active
+const introspectRefreshToken = async (token) => {
+  let payload;
+  try {
+    payload = verifyRefreshToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  const storedToken = await database.get(`
+    SELECT rt.device_key_id, dk.public_key_jwk, u.username
+    FROM refresh_tokens rt
+    JOIN device_keys dk ON rt.device_key_id = dk.id
+    JOIN users u ON rt.user_id = u.id
+    WHERE rt.token_hash = ? AND rt.is_revoked = FALSE AND rt.expires_at > NOW()
+      AND dk.is_active = TRUE AND u.is_active = TRUE
+  `, [hashRefreshToken(token)]);
+
+  if (!storedToken) {
+    return null;
+  }
+
+  return {
+    active: true,
+    token_type: 'refresh_token',
+    sub: payload.sub,
+    username: storedToken.username,
+    cnf: {
+      jkt: generateKeyThumbprint(JSON.parse(storedToken.public_key_jwk))
+    },
+    device_key_id: storedToken.device_key_id,
+    iat: payload.iat,
+    exp: payload.exp,
+    iss: payload.iss,
+    aud: payload.aud
+  };
+};
+
+const tokenValidation = [
+  body('token').isString().isLength({ min: 1, max: 4096 }),
+  body('token_type_hint').optional().isString()
+];
+
+// Token introspection (RFC 7662) for the API gateway and internal services
+router.post('/introspect', authenticateServiceClient, tokenValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'invalid_request', details: errors.array() });
+    }
+
+    const { token, token_type_hint: hint } = req.body;
+
+    // The hint only decides which lookup runs first
+    const lookups = hint === 'refresh_token'
+      ? [introspectRefreshToken, introspectAccessToken]
+      : [introspectAccessToken, introspectRefreshToken];
+
+    let result = null;
+    for (const lookup of lookups) {
+      result = await lookup(token);
+      if (result) {
+        break;
+      }
+    }
+
+    await logRequest(req, result ? parseInt(result.sub) : null, 200);
+
+    res.set('Cache-Control', 'no-store');
+    res.json(result || { active: false });
+  } catch (error) {
+    console.error('Token introspection error:', error);
+    await logRequest(req, null, 500);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Token revocation (RFC 7009). Accepts refresh and access tokens; always answers 200
+// for well-formed requests so callers can't probe which tokens exist.
+router.post('/revoke', authenticateServiceClient, tokenValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'invalid_request', details: errors.array() });
+    }
+
+    const { token } = req.body;
+    let userId = null;
+
+    // Refresh token: revoke its whole family
+    const storedToken = await database.get(`
+      SELECT id, user_id, family_id FROM refresh_tokens WHERE token_hash = ?
+    `, [hashRefreshToken(token)]);
+
+    if (storedToken) {
+      await revokeTokenFamily(storedToken);
+      userId = storedToken.user_id;
+    } else {
+      // Access token: deny it until it expires
+      let payload = null;
+      try {
+        payload = await verifyAccessToken(token);
+      } catch (error) {
+        payload = null;
+      }
+
+      if (payload?.type === 'access') {
+        userId = parseInt(payload.sub);
+        await denyAccessToken(payload.jti, userId, new Date(payload.exp * 1000));
+      }
+    }
+
+    await logRequest(req, userId, 200);
+    res.status(200).end();
+  } catch (error) {
+    console.error('Token revocation error:', error);
+    await logRequest(req, null, 500);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
 // Get user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const user = await database.get(`
-      SELECT id, username, email, created_at
+      SELECT id, username, email, created_at, email_verified_at, pending_email
       FROM users WHERE id = ? AND is_active = TRUE
     `, [req.user.id]);
 
@@ -333,7 +1277,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     // Get device keys count
     const deviceKeysCount = await database.get(`
       SELECT COUNT(*) as count
-      FROM device_keys WHERE user_id = ? AND is_active = TRUE
+      FROM device_keys WHERE user_id = ? AND is_active = TRUE AND impersonator_id IS NULL
     `, [req.user.id]);
 
     await logRequest(req, req.user.id, 200);
@@ -344,6 +1288,11 @@ router.get('/profile', authenticateToken, async (req, res) => {
         username: user.username,
         email: user.email,
         createdAt: user.created_at,
+        emailVerified: !!user.email_verified_at,
+        pendingEmail: user.pending_email,
+        roles: req.user.roles,
+        permissions: req.user.permissions,
+        impersonator: req.user.impersonator,
         deviceKeysCount: deviceKeysCount.count
       }
     });
@@ -354,30 +1303,117 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// The user's security history: sign-ins, lockouts, devices, password changes...
+router.get('/activity', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const { events, total } = await getAuditEvents(req.user.id, { page, limit });
+
+    await logRequest(req, req.user.id, 200);
+
+    res.json({
+      events: events.map((event) => ({
+        id: event.id,
+        type: event.event_type,
+        createdAt: event.created_at,
+        ip: event.ip_address,
+        userAgent: event.user_agent ? summarizeUserAgent(event.user_agent) : null,
+        // Someone other than the user, e.g. an admin; null when nobody signed in did it
+        actor: event.actor_user_id && event.actor_user_id !== req.user.id
+          ? { id: event.actor_user_id, username: event.actor_username }
+          : null,
+        metadata: event.metadata
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Activity fetch error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to fetch activity' });
+  }
+});
+
+// List the user's active devices (one per signed-in browser)
+router.get('/devices', authenticateToken, async (req, res) => {
+  try {
+    const devices = await database.all(`
+      SELECT id, key_id, created_at, last_used, last_ip, user_agent
+      FROM device_keys
+      WHERE user_id = ? AND is_active = TRUE AND impersonator_id IS NULL
+      ORDER BY last_used DESC
+    `, [req.user.id]);
+
+    await logRequest(req, req.user.id, 200);
+
+    res.json({
+      devices: devices.map((device) => ({
+        keyId: device.key_id,
+        createdAt: device.created_at,
+        lastUsed: device.last_used,
+        lastIp: device.last_ip,
+        userAgent: summarizeUserAgent(device.user_agent),
+        current: device.id === req.user.deviceKeyId
+      }))
+    });
+  } catch (error) {
+    console.error('Device list error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to fetch devices' });
+  }
+});
+
+// Revoke every device except the one making the request
+router.post('/devices/revoke-others', authenticateToken, blockImpersonation, requireRecentAuth(), async (req, res) => {
+  try {
+    const revoked = await revokeOtherDevices(req.user.id, req.user.deviceKeyId);
+
+    if (revoked > 0) {
+      await recordAuditEvent(req, AUDIT_EVENTS.DEVICE_KEY_REVOKED, {
+        metadata: { revoked, reason: 'revoke_others' }
+      });
+    }
+    await logRequest(req, req.user.id, 200);
+    res.json({ message: 'Other devices signed out', revoked });
+  } catch (error) {
+    console.error('Device revocation error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to revoke devices' });
+  }
+});
+
 // Revoke device key
-router.delete('/device/:keyId', authenticateToken, async (req, res) => {
+router.delete('/device/:keyId', authenticateToken, blockImpersonation, requireRecentAuth(), async (req, res) => {
   try {
     const { keyId } = req.params;
 
-    const result = await database.run(`
-      UPDATE device_keys
-      SET is_active = 0
-      WHERE key_id = ? AND user_id = ?
+    const deviceKey = await database.get(`
+      SELECT id FROM device_keys WHERE key_id = ? AND user_id = ? AND is_active = TRUE
     `, [keyId, req.user.id]);
 
-    if (result.changes === 0) {
+    if (!deviceKey) {
       return res.status(404).json({ error: 'Device key not found' });
     }
 
-    // Revoke associated refresh tokens
-    await database.run(`
-      UPDATE refresh_tokens
-      SET is_revoked = 1
-      WHERE device_key_id = (
-        SELECT id FROM device_keys WHERE key_id = ? AND user_id = ?
-      )
-    `, [keyId, req.user.id]);
+    await revokeDevice(deviceKey.id);
 
+    await recordAuditEvent(req, AUDIT_EVENTS.DEVICE_KEY_REVOKED, {
+      metadata: { deviceKeyId: deviceKey.id, reason: 'device_revoked' }
+    });
     await logRequest(req, req.user.id, 200);
     res.json({ message: 'Device key revoked successfully' });
   } catch (error) {
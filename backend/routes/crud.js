@@ -1,8 +1,11 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import { database } from '../config/database.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireVerifiedEmail } from '../middleware/auth.js';
 import { logRequest, suspiciousActivityCheck, validateFingerprint } from '../middleware/security.js';
+import { riskCheck } from '../middleware/risk.js';
+import { AUDIT_EVENTS, recordAuditEvent } from '../utils/auditLog.js';
+import { fabricatePosts, fabricatePost, fabricateStats } from '../utils/dataPoisoning.js';
 
 const router = express.Router();
 
@@ -10,6 +13,7 @@ const router = express.Router();
 router.use(authenticateToken);
 router.use(validateFingerprint);
 router.use(suspiciousActivityCheck);
+router.use(riskCheck);
 
 // Get all posts for the authenticated user
 router.get('/posts', [
@@ -30,6 +34,12 @@ router.get('/posts', [
     const search = req.query.search || '';
     const offset = (page - 1) * limit;
 
+    // Flagged scraper: fabricated, watermarked posts (see riskCheck)
+    if (req.poisonWatermark) {
+      await logRequest(req, req.user.id, 200);
+      return res.json(fabricatePosts(req.poisonWatermark, { page, limit, search }));
+    }
+
     console.log('Query params:', { page, limit, search, offset, pageType: typeof page, limitType: typeof limit });
 
     let whereClause = 'WHERE user_id = ?';
@@ -88,11 +98,13 @@ router.get('/posts/:id', [
 
     const { id } = req.params;
 
-    const post = await database.get(`
-      SELECT id, title, content, created_at, updated_at
-      FROM posts 
-      WHERE id = ? AND user_id = ?
-    `, [id, req.user.id]);
+    const post = req.poisonWatermark
+      ? fabricatePost(req.poisonWatermark, id)
+      : await database.get(`
+        SELECT id, title, content, created_at, updated_at
+        FROM posts 
+        WHERE id = ? AND user_id = ?
+      `, [id, req.user.id]);
 
     if (!post) {
       await logRequest(req, req.user.id, 404);
@@ -109,7 +121,7 @@ router.get('/posts/:id', [
 });
 
 // Create a new post
-router.post('/posts', [
+router.post('/posts', requireVerifiedEmail, [
   body('title').isLength({ min: 1, max: 255 }).trim().escape(),
   body('content').optional().isLength({ max: 10000 }).trim()
 ], async (req, res) => {
@@ -147,7 +159,7 @@ router.post('/posts', [
 });
 
 // Update a post
-router.put('/posts/:id', [
+router.put('/posts/:id', requireVerifiedEmail, [
   param('id').isInt({ min: 1 }).toInt(),
   body('title').isLength({ min: 1, max: 255 }).trim().escape(),
   body('content').optional().isLength({ max: 10000 }).trim()
@@ -200,7 +212,7 @@ router.put('/posts/:id', [
 });
 
 // Delete a post
-router.delete('/posts/:id', [
+router.delete('/posts/:id', requireVerifiedEmail, [
   param('id').isInt({ min: 1 }).toInt()
 ], async (req, res) => {
   try {
@@ -222,6 +234,7 @@ router.delete('/posts/:id', [
       return res.status(404).json({ error: 'Post not found' });
     }
 
+    await recordAuditEvent(req, AUDIT_EVENTS.POST_DELETED, { metadata: { postId: id } });
     await logRequest(req, req.user.id, 200);
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
@@ -234,6 +247,11 @@ router.delete('/posts/:id', [
 // Get user statistics
 router.get('/stats', async (req, res) => {
   try {
+    if (req.poisonWatermark) {
+      await logRequest(req, req.user.id, 200);
+      return res.json({ stats: fabricateStats(req.poisonWatermark) });
+    }
+
     // Get basic stats with fallback for empty table
     let stats;
     try {
@@ -0,0 +1,112 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { body, validationResult } from 'express-validator';
+import { logRequest } from '../middleware/security.js';
+import { INCIDENT_TYPES, logSecurityIncident, pickRecordedHeaders } from '../utils/securityIncidents.js';
+import antiScrapingMiddleware from '../middleware/antiScraping.js';
+
+const router = express.Router();
+
+// Most challenges the frontend sends with one report
+const MAX_REPORTED_CHALLENGES = 100;
+
+// Anyone can post reports, so don't let one client fill the table
+const botReportLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'development' ? 100 : 10,
+  message: {
+    error: 'Too many reports, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Challenges are cheap to issue and check, but still shouldn't be an open firehose
+const challengeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'development' ? 200 : 30,
+  message: {
+    error: 'Too many challenge requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Bot detection report from the frontend (triggerBotProtection in utils/antiScraping.js)
+router.post('/bot-detected', botReportLimiter, [
+  body('challenges').isArray({ max: MAX_REPORTED_CHALLENGES }),
+  body('challenges.*.type').isString().isLength({ min: 1, max: 64 }),
+  body('challenges.*.timestamp').optional().isInt({ min: 0 }).toInt(),
+  body('challenges.*.userAgent').optional().isString().isLength({ max: 512 }),
+  body('userAgent').optional().isString().isLength({ max: 512 }),
+  body('timestamp').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { challenges, userAgent, timestamp } = req.body;
+
+    console.warn('Frontend bot detection report:', {
+      challenges: challenges.length,
+      ip: req.ip
+    });
+
+    // Keep only the fields we validated; the user agent is the same on every challenge
+    await logSecurityIncident(req, INCIDENT_TYPES.BOT_REPORT, {
+      source: 'client',
+      details: {
+        challenges: challenges.map(({ type, timestamp }) => ({ type, timestamp: timestamp ?? null })),
+        reportedUserAgent: userAgent || null,
+        reportedAt: timestamp ?? null,
+        headers: pickRecordedHeaders(req)
+      }
+    });
+
+    await logRequest(req, null, 200);
+    res.json({ status: 'logged' });
+  } catch (error) {
+    console.error('Bot report error:', error);
+    await logRequest(req, null, 500);
+    res.status(500).json({ error: 'Failed to log report' });
+  }
+});
+
+// Proof-of-work challenge for this client. Responses that challenge a client (anti-scraping
+// 403s, the risk policy's challenge action) include one too.
+router.get('/challenge', challengeLimiter, async (req, res) => {
+  await logRequest(req, null, 200);
+  res.json(antiScrapingMiddleware.issueChallenge(req));
+});
+
+// Exchange a solved challenge for a clearance token, sent back in the X-Clearance header
+router.post('/challenge', challengeLimiter, [
+  body('challenge').isString().isLength({ min: 1, max: 1024 }),
+  body('solution').isString().isLength({ min: 1, max: 32 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const result = antiScrapingMiddleware.redeemChallenge(req, req.body.challenge, req.body.solution);
+    if (result.error) {
+      await logRequest(req, null, 400);
+      return res.status(400).json({ error: result.error });
+    }
+
+    await logRequest(req, null, 200);
+    res.json(result);
+  } catch (error) {
+    console.error('Challenge verification error:', error);
+    await logRequest(req, null, 500);
+    res.status(500).json({ error: 'Failed to verify challenge' });
+  }
+});
+
+export default router;
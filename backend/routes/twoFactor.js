@@ -0,0 +1,184 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import { body, validationResult } from 'express-validator';
+import { database } from '../config/database.js';
+import { logRequest } from '../middleware/security.js';
+import { authenticateToken, requireRecentAuth, blockImpersonation, reauthLimiter } from '../middleware/auth.js';
+import {
+  startTotpEnrollment,
+  buildOtpauthUrl,
+  verifyTotpCode,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  disableTotp
+} from '../utils/twoFactor.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const getTwoFactorUser = (userId) => {
+  return database.get(`
+    SELECT id, email, password_hash, totp_secret, totp_enabled
+    FROM users WHERE id = ? AND is_active = TRUE
+  `, [userId]);
+};
+
+// Get 2FA status
+router.get('/', async (req, res) => {
+  try {
+    const user = await getTwoFactorUser(req.user.id);
+
+    await logRequest(req, req.user.id, 200);
+    res.json({
+      enabled: !!user.totp_enabled,
+      recoveryCodesRemaining: user.totp_enabled ? await countRecoveryCodes(req.user.id) : 0
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to fetch 2FA status' });
+  }
+});
+
+// Start enrollment: new secret and provisioning URI for the authenticator app
+router.post('/setup', blockImpersonation, requireRecentAuth(), async (req, res) => {
+  try {
+    const user = await getTwoFactorUser(req.user.id);
+
+    if (user.totp_enabled) {
+      await logRequest(req, req.user.id, 409);
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = await startTotpEnrollment(user.id);
+
+    await logRequest(req, req.user.id, 200);
+    res.json({
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to start 2FA setup' });
+  }
+});
+
+// Confirm enrollment with a first code; returns the recovery codes once
+router.post('/enable', blockImpersonation, [
+  body('code').isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await getTwoFactorUser(req.user.id);
+
+    if (user.totp_enabled) {
+      await logRequest(req, req.user.id, 409);
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totp_secret) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Start 2FA setup first' });
+    }
+
+    if (!await verifyTotpCode(user, req.body.code)) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    await database.run('UPDATE users SET totp_enabled = TRUE WHERE id = ?', [user.id]);
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    await logRequest(req, req.user.id, 200);
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to enable 2FA' });
+  }
+});
+
+// Replace all recovery codes (requires a current code)
+router.post('/recovery-codes', blockImpersonation, reauthLimiter, [
+  body('code').optional().isString().trim(),
+  body('recoveryCode').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await getTwoFactorUser(req.user.id);
+
+    if (!user.totp_enabled) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!await verifySecondFactor(user, req.body)) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    await logRequest(req, req.user.id, 200);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Recovery code generation error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to generate recovery codes' });
+  }
+});
+
+// Disable 2FA (requires the password and a current code)
+router.post('/disable', blockImpersonation, reauthLimiter, [
+  body('password').isLength({ min: 1, max: 128 }),
+  body('code').optional().isString().trim(),
+  body('recoveryCode').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const user = await getTwoFactorUser(req.user.id);
+
+    if (!user.totp_enabled) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const passwordValid = await bcrypt.compare(req.body.password, user.password_hash);
+    if (!passwordValid || !await verifySecondFactor(user, req.body)) {
+      await logRequest(req, req.user.id, 400);
+      return res.status(400).json({ error: 'Invalid password or verification code' });
+    }
+
+    await disableTotp(user.id);
+
+    await logRequest(req, req.user.id, 200);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    await logRequest(req, req.user?.id, 500);
+    res.status(500).json({ error: 'Failed to disable 2FA' });
+  }
+});
+
+export default router;
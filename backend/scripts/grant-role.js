@@ -0,0 +1,39 @@
+// Grant or revoke a role by email, e.g. to create the first admin:
+//   npm run grant-role -- admin@example.com admin
+//   npm run grant-role -- admin@example.com admin --revoke
+import dotenv from 'dotenv';
+import { initDatabase, database } from '../config/database.js';
+import { seedRoles, grantRole, revokeRole } from '../utils/roles.js';
+
+dotenv.config();
+
+const [email, roleName, flag] = process.argv.slice(2);
+
+if (!email || !roleName) {
+  console.error('Usage: npm run grant-role -- <email> <role> [--revoke]');
+  process.exit(1);
+}
+
+try {
+  await initDatabase();
+  await seedRoles();
+
+  const user = await database.get('SELECT id FROM users WHERE email = ?', [email]);
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  if (flag === '--revoke') {
+    const revoked = await revokeRole(user.id, roleName);
+    console.log(revoked ? `Revoked ${roleName} from ${email}` : `${email} did not have ${roleName}`);
+  } else {
+    const granted = await grantRole(user.id, roleName);
+    console.log(granted ? `Granted ${roleName} to ${email}` : `${email} already has ${roleName}`);
+  }
+
+  await database.close();
+} catch (error) {
+  console.error('Role change failed:', error.message);
+  await database.close();
+  process.exit(1);
+}
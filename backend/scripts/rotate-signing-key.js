@@ -0,0 +1,15 @@
+// Rotate the access token signing key stored in JWT_KEYS_FILE.
+// Running servers pick up the new key on their next keyring reload, or as soon as they see a
+// token signed with it.
+import dotenv from 'dotenv';
+import { rotateSigningKey } from '../utils/keyring.js';
+
+dotenv.config();
+
+try {
+  const kid = await rotateSigningKey();
+  console.log(`New active signing key: ${kid}`);
+} catch (error) {
+  console.error('Key rotation failed:', error.message);
+  process.exit(1);
+}
@@ -8,10 +8,17 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { initDatabase } from './config/database.js';
 import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
+import accountRoutes from './routes/account.js';
 import crudRoutes from './routes/crud.js';
+import adminRoutes from './routes/admin.js';
+import securityRoutes from './routes/security.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { securityMiddleware } from './middleware/security.js';
 import antiScrapingMiddleware from './middleware/antiScraping.js';
+import honeypotMiddleware from './middleware/honeypot.js';
+import { initKeyring, getPublicJwks } from './utils/keyring.js';
+import { seedRoles } from './utils/roles.js';
 
 dotenv.config();
 
@@ -21,6 +28,13 @@ const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy, trust its X-Forwarded-For so req.ip is the client and not the proxy
+// (a hop count like 1, or a list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -56,6 +70,9 @@ const authLimiter = rateLimit({
     error: 'Too many authentication attempts, please try again later.'
   },
   skipSuccessfulRequests: true,
+  // A use_dpop_nonce 401 only hands the client a nonce to retry with, it isn't a failed attempt
+  requestWasSuccessful: (req, res) => res.statusCode < 400 ||
+    (res.get('WWW-Authenticate') || '').includes('use_dpop_nonce'),
 });
 
 // CORS configuration - Apply CORS before rate limiting
@@ -63,8 +80,8 @@ app.use(cors({
   origin: true, // Allow all origins in development
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'DPoP', 'X-Fingerprint'],
-  exposedHeaders: ['Set-Cookie'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'DPoP', 'X-Fingerprint', 'X-Clearance'],
+  exposedHeaders: ['Set-Cookie', 'DPoP-Nonce', 'WWW-Authenticate'],
   preflightContinue: false,
   optionsSuccessStatus: 200
 }));
@@ -72,6 +89,21 @@ app.use(cors({
 // Handle preflight requests explicitly
 app.options('*', cors());
 
+// Public signing keys so other services can verify our access tokens.
+// Registered before anti-scraping because callers are servers, not browsers.
+app.get('/.well-known/jwks.json', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(await getPublicJwks());
+  } catch (error) {
+    console.error('JWKS error:', error);
+    res.status(500).json({ error: 'Failed to load signing keys' });
+  }
+});
+
+// Decoy endpoints, and the tarpit for clients that hit them
+app.use(honeypotMiddleware.middleware());
+
 // Apply anti-scraping protection (always active)
 app.use(antiScrapingMiddleware.middleware());
 
@@ -83,7 +115,9 @@ if (process.env.NODE_ENV !== 'development') {
   console.log('Rate limiting disabled in development mode');
 }
 
-// Body parsing middleware
+// Body parsing middleware. Security reports are parsed first with a small limit; the
+// general parser skips bodies that are already parsed.
+app.use('/api/security', express.json({ limit: '32kb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
@@ -92,26 +126,12 @@ app.use(cookieParser());
 app.use(securityMiddleware);
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/account', accountRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/crud', crudRoutes);
-
-// Security routes
-app.post('/api/security/bot-detected', (req, res) => {
-  const { challenges, userAgent, timestamp } = req.body;
-
-  console.warn('Frontend bot detection report:', {
-    challenges: challenges?.length || 0,
-    userAgent,
-    timestamp,
-    ip: req.ip,
-    headers: req.headers
-  });
-
-  // Log to database if needed
-  // await logSecurityIncident('bot_detected', req.body, req.ip);
-
-  res.json({ status: 'logged' });
-});
+app.use('/api/admin', adminRoutes);
+app.use('/api/security', securityRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -135,6 +155,11 @@ async function startServer() {
   try {
     await initDatabase();
     console.log('Database initialized successfully');
+
+    await seedRoles();
+
+    await initKeyring();
+    console.log('Signing keys loaded');
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
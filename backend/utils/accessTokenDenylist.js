@@ -0,0 +1,67 @@
+// Access token denylist
+// Revoked access tokens are denied by jti until they would have expired anyway, after which
+// the row is cleaned up. Every access token's jti is recorded on the refresh token row it was
+// issued with, so whole sessions, devices or users can be denied without tracking tokens elsewhere.
+import { database } from '../config/database.js';
+
+// Deny a single access token
+export const denyAccessToken = async (jti, userId, expiresAt, reason = 'revoked') => {
+  if (!jti) {
+    return;
+  }
+
+  await database.run(`
+    INSERT IGNORE INTO access_token_denylist (jti, user_id, expires_at, reason)
+    VALUES (?, ?, ?, ?)
+  `, [jti, userId, expiresAt, reason]);
+};
+
+// Deny every unexpired access token recorded on matching refresh token rows
+const denyIssuedAccessTokens = async (column, value, reason) => {
+  await database.run(`
+    INSERT IGNORE INTO access_token_denylist (jti, user_id, expires_at, reason)
+    SELECT access_token_jti, user_id, access_token_expires_at, ?
+    FROM refresh_tokens
+    WHERE ${column} = ? AND access_token_jti IS NOT NULL AND access_token_expires_at > NOW()
+  `, [reason, value]);
+};
+
+export const denyFamilyAccessTokens = (familyId, reason = 'revoked') => {
+  return denyIssuedAccessTokens('family_id', familyId, reason);
+};
+
+export const denyRefreshRowAccessTokens = (refreshTokenId, reason = 'revoked') => {
+  return denyIssuedAccessTokens('id', refreshTokenId, reason);
+};
+
+export const denyDeviceAccessTokens = (deviceKeyId, reason = 'device_revoked') => {
+  return denyIssuedAccessTokens('device_key_id', deviceKeyId, reason);
+};
+
+export const denyUserAccessTokens = (userId, reason = 'logout_all') => {
+  return denyIssuedAccessTokens('user_id', userId, reason);
+};
+
+// Check whether an access token has been revoked
+export const isAccessTokenDenied = async (jti) => {
+  if (!jti) {
+    return false;
+  }
+
+  const entry = await database.get(`
+    SELECT jti FROM access_token_denylist WHERE jti = ?
+  `, [jti]);
+
+  return !!entry;
+};
+
+// Drop entries for tokens that have expired on their own
+export const cleanupAccessTokenDenylist = async () => {
+  await database.run('DELETE FROM access_token_denylist WHERE expires_at < NOW()');
+};
+
+setInterval(() => {
+  cleanupAccessTokenDenylist().catch((error) => {
+    console.error('Access token denylist cleanup failed:', error);
+  });
+}, 5 * 60 * 1000).unref(); // Clean every 5 minutes
@@ -0,0 +1,67 @@
+// Security audit log
+// request_logs records every HTTP hit; audit_events records what actually happened to an
+// account (sign-ins, lockouts, device keys, password changes...). The target is the account the
+// event is about and the actor who caused it: the user themselves, an admin, or nobody (e.g. a
+// failed sign-in). Users can read their own events through GET /auth/activity.
+import { database } from '../config/database.js';
+import { getRequestFingerprintHash } from '../middleware/security.js';
+
+export const AUDIT_EVENTS = {
+  ACCOUNT_CREATED: 'account_created',
+  LOGIN_SUCCEEDED: 'login_succeeded',
+  LOGIN_FAILED: 'login_failed',
+  ACCOUNT_LOCKED: 'account_locked',
+  DEVICE_KEY_CREATED: 'device_key_created',
+  DEVICE_KEY_REVOKED: 'device_key_revoked',
+  TOKEN_REFRESHED: 'token_refreshed',
+  TOKEN_REUSE_DETECTED: 'token_reuse_detected',
+  PASSWORD_CHANGED: 'password_changed',
+  EMAIL_CHANGED: 'email_changed',
+  ACCOUNT_SUSPENDED: 'account_suspended',
+  ACCOUNT_REACTIVATED: 'account_reactivated',
+  ACCOUNT_UNLOCKED: 'account_unlocked',
+  POST_DELETED: 'post_deleted',
+  RISK_ELEVATED: 'risk_elevated'
+};
+
+// Record an event about targetUserId. The actor defaults to the signed-in user, or the admin
+// when one is impersonating; pass actorUserId: null for events nobody signed in caused.
+// fingerprintHash defaults to the request's X-Fingerprint. Never throws: a failed audit write
+// must not fail the request it describes.
+export const recordAuditEvent = async (req, eventType, {
+  targetUserId = req.user?.id ?? null,
+  actorUserId = req.user?.impersonator?.id ?? req.user?.id ?? null,
+  fingerprintHash = getRequestFingerprintHash(req),
+  metadata = null
+} = {}) => {
+  try {
+    await database.run(`
+      INSERT INTO audit_events
+        (event_type, actor_user_id, target_user_id, ip_address, user_agent, fingerprint_hash, metadata)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [eventType, actorUserId, targetUserId, req.securityContext?.ip || null,
+      req.securityContext?.userAgent || null, fingerprintHash, metadata ? JSON.stringify(metadata) : null]);
+  } catch (error) {
+    console.error('Failed to record audit event:', error);
+  }
+};
+
+// A page of the events about a user, newest first, with the actor's username
+export const getAuditEvents = async (userId, { page = 1, limit = 20 } = {}) => {
+  const { total } = await database.get(`
+    SELECT COUNT(*) as total FROM audit_events WHERE target_user_id = ?
+  `, [userId]);
+
+  // LIMIT/OFFSET are interpolated as numbers, as in the posts list
+  const events = await database.all(`
+    SELECT e.id, e.event_type, e.actor_user_id, a.username AS actor_username, e.ip_address,
+           e.user_agent, e.metadata, e.created_at
+    FROM audit_events e
+    LEFT JOIN users a ON e.actor_user_id = a.id
+    WHERE e.target_user_id = ?
+    ORDER BY e.created_at DESC, e.id DESC
+    LIMIT ${Number(limit)} OFFSET ${Number((page - 1) * limit)}
+  `, [userId]);
+
+  return { events, total };
+};
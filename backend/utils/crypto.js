@@ -1,28 +1,88 @@
 import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
-import { importJWK, jwtVerify } from 'jose';
+import { importJWK, jwtVerify, SignJWT } from 'jose';
+import { getActiveSigningKey, getVerificationKey, SUPPORTED_SIGNING_ALGS } from './keyring.js';
 
-// Generate key thumbprint (JWK thumbprint)
+// Required JWK members per key type, in the lexicographic order RFC 7638 mandates
+const THUMBPRINT_MEMBERS = {
+  EC: ['crv', 'kty', 'x', 'y'],
+  OKP: ['crv', 'kty', 'x'],
+  RSA: ['e', 'kty', 'n']
+};
+
+// Generate key thumbprint (RFC 7638 JWK thumbprint, SHA-256, base64url)
 export const generateKeyThumbprint = (jwk) => {
-  try {
-    // Create canonical JWK for thumbprint
-    const canonicalJwk = {
-      crv: jwk.crv,
-      kty: jwk.kty,
-      x: jwk.x,
-      y: jwk.y
-    };
-    
-    const jwkString = JSON.stringify(canonicalJwk);
-    return crypto.createHash('sha256').update(jwkString).digest('base64url');
-  } catch (error) {
-    console.error('Error generating key thumbprint:', error);
-    throw new Error('Failed to generate key thumbprint');
+  const members = THUMBPRINT_MEMBERS[jwk?.kty];
+  if (!members) {
+    throw new Error('Failed to generate key thumbprint: unsupported key type');
   }
+
+  // Canonical form: required members only, sorted, no whitespace
+  const canonical = members.map((member) => {
+    if (typeof jwk[member] !== 'string' || !jwk[member]) {
+      throw new Error(`Failed to generate key thumbprint: missing ${member}`);
+    }
+    return `${JSON.stringify(member)}:${JSON.stringify(jwk[member])}`;
+  }).join(',');
+
+  return crypto.createHash('sha256').update(`{${canonical}}`).digest('base64url');
+};
+
+// Allowed clock skew for DPoP proof iat, in seconds
+export const getDPoPIatSkew = () => parseInt(process.env.DPOP_IAT_SKEW) || 300;
+
+// DPoP nonce lifetime in seconds
+const getDPoPNonceLifetime = () => parseInt(process.env.DPOP_NONCE_LIFETIME) || 300;
+
+const signDPoPNonce = (data) => {
+  const secret = process.env.DPOP_NONCE_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+};
+
+// Generate a server nonce for DPoP proofs (RFC 9449 section 8).
+// Nonces are stateless: issue time + random value, authenticated with an HMAC.
+export const generateDPoPNonce = () => {
+  const data = `${Math.floor(Date.now() / 1000).toString(36)}.${crypto.randomBytes(12).toString('base64url')}`;
+  return `${data}.${signDPoPNonce(data)}`;
 };
 
-// Verify DPoP proof
-export const verifyDPoP = async (dpopHeader, method, url, publicKeyJwk) => {
+// Check that a nonce was issued by this server and has not expired
+export const isValidDPoPNonce = (nonce) => {
+  if (typeof nonce !== 'string') {
+    return false;
+  }
+
+  const parts = nonce.split('.');
+  if (parts.length !== 3) {
+    return false;
+  }
+
+  const data = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(signDPoPNonce(data));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return false;
+  }
+
+  const issuedAt = parseInt(parts[0], 36);
+  const now = Math.floor(Date.now() / 1000);
+  return issuedAt <= now && now - issuedAt <= getDPoPNonceLifetime();
+};
+
+// Error that tells the client to retry with a fresh server nonce
+const dpopNonceError = (message) => {
+  const error = new Error(message);
+  error.code = 'use_dpop_nonce';
+  return error;
+};
+
+// Hash an access token for the DPoP "ath" claim (base64url SHA-256)
+export const hashAccessToken = (accessToken) => {
+  return crypto.createHash('sha256').update(accessToken).digest('base64url');
+};
+
+// Verify DPoP proof. When accessToken is given, the proof must carry its hash in "ath".
+export const verifyDPoP = async (dpopHeader, method, url, publicKeyJwk, accessToken = null) => {
   try {
     if (!dpopHeader) {
       throw new Error('Missing DPoP header');
@@ -39,8 +99,8 @@ export const verifyDPoP = async (dpopHeader, method, url, publicKeyJwk) => {
     const header = JSON.parse(Buffer.from(headerB64, 'base64url').toString());
     const payload = JSON.parse(Buffer.from(payloadB64, 'base64url').toString());
 
-    // Verify header
-    if (header.alg !== 'ES256' || header.typ !== 'dpop+jwt') {
+    // Verify header: the algorithm must be allowed and usable with the bound key
+    if (header.typ !== 'dpop+jwt' || !getJwkAlgorithms(publicKeyJwk).includes(header.alg)) {
       throw new Error('Invalid DPoP header');
     }
 
@@ -53,9 +113,9 @@ export const verifyDPoP = async (dpopHeader, method, url, publicKeyJwk) => {
       throw new Error('DPoP URL mismatch');
     }
 
-    // Check timestamp (allow 5 minute window)
+    // Check timestamp (allow 5 minute window by default)
     const now = Math.floor(Date.now() / 1000);
-    if (!payload.iat || Math.abs(now - payload.iat) > 300) {
+    if (!payload.iat || Math.abs(now - payload.iat) > getDPoPIatSkew()) {
       throw new Error('DPoP timestamp invalid');
     }
 
@@ -64,12 +124,32 @@ export const verifyDPoP = async (dpopHeader, method, url, publicKeyJwk) => {
       throw new Error('Missing DPoP JTI');
     }
 
+    // Verify the proof is bound to the presented access token
+    if (accessToken) {
+      if (!payload.ath) {
+        throw new Error('Missing DPoP access token hash');
+      }
+
+      if (payload.ath !== hashAccessToken(accessToken)) {
+        throw new Error('DPoP access token hash mismatch');
+      }
+    }
+
+    // Require a server-issued nonce so proofs can't be generated ahead of time
+    if (!payload.nonce) {
+      throw dpopNonceError('DPoP nonce required');
+    }
+
+    if (!isValidDPoPNonce(payload.nonce)) {
+      throw dpopNonceError('DPoP nonce invalid or expired');
+    }
+
     // Import public key and verify signature
-    const publicKey = await importJWK(publicKeyJwk, 'ES256');
+    const publicKey = await importJWK(publicKeyJwk, header.alg);
     
     // Verify signature using jose library
-    const { payload: verifiedPayload } = await jwtVerify(dpopHeader, publicKey, {
-      algorithms: ['ES256']
+    await jwtVerify(dpopHeader, publicKey, {
+      algorithms: [header.alg]
     });
 
     return {
@@ -78,16 +158,24 @@ export const verifyDPoP = async (dpopHeader, method, url, publicKeyJwk) => {
       iat: payload.iat
     };
   } catch (error) {
-    console.error('DPoP verification error:', error);
+    // A nonce challenge is the normal first round-trip of a session, not a failure worth logging
+    if (error.code !== 'use_dpop_nonce') {
+      console.error('DPoP verification error:', error);
+    }
     return {
       valid: false,
-      error: error.message
+      error: error.message,
+      errorCode: error.code
     };
   }
 };
 
-// Generate access token with key binding
-export const generateAccessToken = (userId, keyThumbprint, deviceKeyId) => {
+// Generate access token with key binding, signed with the active keyring key
+// authTime is when the user last proved who they are (sign-in or re-authentication) and acr
+// how strongly: 'aal1' for a password, 'aal2' when a second factor or passkey was used
+export const generateAccessToken = async (userId, keyThumbprint, deviceKeyId, {
+  authTime = null, acr = null, actorId = null, expiresIn = null
+} = {}) => {
   const payload = {
     sub: userId.toString(),
     cnf: {
@@ -97,19 +185,36 @@ export const generateAccessToken = (userId, keyThumbprint, deviceKeyId) => {
     type: 'access'
   };
 
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
-    issuer: 'prevent-scraping-api',
-    audience: 'prevent-scraping-client'
-  });
+  if (authTime) {
+    payload.auth_time = Math.floor(new Date(authTime).getTime() / 1000);
+  }
+  if (acr) {
+    payload.acr = acr;
+  }
+  // Impersonation: the admin acting as this user (RFC 8693 actor claim)
+  if (actorId) {
+    payload.act = { sub: actorId.toString() };
+  }
+
+  const signingKey = await getActiveSigningKey();
+
+  return new SignJWT(payload)
+    .setProtectedHeader({ alg: signingKey.alg, kid: signingKey.kid, typ: 'JWT' })
+    .setIssuedAt()
+    .setJti(crypto.randomUUID())
+    .setExpirationTime(expiresIn || process.env.JWT_EXPIRES_IN || '15m')
+    .setIssuer('prevent-scraping-api')
+    .setAudience('prevent-scraping-client')
+    .sign(signingKey.privateKey);
 };
 
-// Generate refresh token
+// Generate refresh token (jti keeps rotated tokens unique within the same second)
 export const generateRefreshToken = (userId, deviceKeyId) => {
   const payload = {
     sub: userId.toString(),
     device_key_id: deviceKeyId,
-    type: 'refresh'
+    type: 'refresh',
+    jti: crypto.randomUUID()
   };
 
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
@@ -119,13 +224,22 @@ export const generateRefreshToken = (userId, deviceKeyId) => {
   });
 };
 
-// Verify access token
-export const verifyAccessToken = (token) => {
+// Verify access token against the keyring key named by its kid header
+export const verifyAccessToken = async (token) => {
   try {
-    return jwt.verify(token, process.env.JWT_SECRET, {
+    const { payload } = await jwtVerify(token, async (header) => {
+      const key = await getVerificationKey(header.kid);
+      if (!key || key.alg !== header.alg) {
+        throw new Error('Unknown signing key');
+      }
+      return key.publicKey;
+    }, {
       issuer: 'prevent-scraping-api',
-      audience: 'prevent-scraping-client'
+      audience: 'prevent-scraping-client',
+      algorithms: SUPPORTED_SIGNING_ALGS
     });
+
+    return payload;
   } catch (error) {
     throw new Error('Invalid access token');
   }
@@ -143,39 +257,138 @@ export const verifyRefreshToken = (token) => {
   }
 };
 
+// Short-lived token proving the password step of a 2FA login, bound to the device key
+export const generateMfaToken = (userId, keyThumbprint) => {
+  const payload = {
+    sub: userId.toString(),
+    jkt: keyThumbprint,
+    type: 'mfa'
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+    issuer: 'prevent-scraping-api',
+    audience: 'prevent-scraping-mfa'
+  });
+};
+
+export const verifyMfaToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: 'prevent-scraping-api',
+      audience: 'prevent-scraping-mfa'
+    });
+    if (payload.type !== 'mfa') {
+      throw new Error('Wrong token type');
+    }
+    return payload;
+  } catch (error) {
+    throw new Error('Invalid MFA token');
+  }
+};
+
 // Hash refresh token for storage
 export const hashRefreshToken = (token) => {
   return crypto.createHash('sha256').update(token).digest('hex');
 };
 
+// Encrypt a value for storage with AES-256-GCM under a key derived from secret.
+// The result is "iv.tag.ciphertext" in base64url.
+export const encryptAtRest = (plaintext, secret) => {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+// Throws if the value was encrypted under another secret or has been tampered with
+export const decryptAtRest = (stored, secret) => {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
 // Generate secure random string
 export const generateSecureRandom = (length = 32) => {
   return crypto.randomBytes(length).toString('hex');
 };
 
-// Validate JWK format
+// DPoP proof algorithms supported for device keys
+export const SUPPORTED_DPOP_ALGS = ['ES256', 'ES384', 'EdDSA', 'RS256', 'PS256'];
+
+// Algorithms enabled through DPOP_ALLOWED_ALGS (comma separated, defaults to all supported)
+export const getAllowedDPoPAlgs = () => {
+  if (!process.env.DPOP_ALLOWED_ALGS) {
+    return SUPPORTED_DPOP_ALGS;
+  }
+
+  return process.env.DPOP_ALLOWED_ALGS.split(',')
+    .map(alg => alg.trim())
+    .filter(alg => SUPPORTED_DPOP_ALGS.includes(alg));
+};
+
+// Allowed algorithms a public key can sign DPoP proofs with
+export const getJwkAlgorithms = (jwk) => {
+  let algs = [];
+
+  if (jwk?.kty === 'EC' && jwk.crv === 'P-256') {
+    algs = ['ES256'];
+  } else if (jwk?.kty === 'EC' && jwk.crv === 'P-384') {
+    algs = ['ES384'];
+  } else if (jwk?.kty === 'OKP' && jwk.crv === 'Ed25519') {
+    algs = ['EdDSA'];
+  } else if (jwk?.kty === 'RSA') {
+    algs = ['RS256', 'PS256'];
+  }
+
+  // A key that declares its algorithm may only be used with that one
+  if (jwk?.alg) {
+    algs = algs.filter(alg => alg === jwk.alg);
+  }
+
+  const allowed = getAllowedDPoPAlgs();
+  return algs.filter(alg => allowed.includes(alg));
+};
+
+// Expected base64url lengths of key members
+const EC_COORDINATE_LENGTHS = { 'P-256': 43, 'P-384': 64 }; // 32 and 48 bytes
+const ED25519_KEY_LENGTH = 43; // 32 bytes
+const RSA_MODULUS_LENGTHS = { min: 342, max: 683 }; // 2048 to 4096 bits
+
+// Private key members that must never be sent to the server
+const PRIVATE_JWK_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth', 'k'];
+
+// Validate JWK format (EC P-256/P-384, Ed25519 or RSA public key with an allowed algorithm)
 export const validateJWK = (jwk) => {
   if (!jwk || typeof jwk !== 'object') {
     return false;
   }
 
-  // Check for required ECDSA P-256 fields
-  const requiredFields = ['kty', 'crv', 'x', 'y'];
-  for (const field of requiredFields) {
-    if (!jwk[field]) {
-      return false;
-    }
-  }
-
-  // Validate key type and curve
-  if (jwk.kty !== 'EC' || jwk.crv !== 'P-256') {
+  if (PRIVATE_JWK_MEMBERS.some(member => member in jwk)) {
     return false;
   }
 
-  // Validate coordinate lengths (P-256 coordinates are 32 bytes = 43 base64url chars)
-  if (jwk.x.length !== 43 || jwk.y.length !== 43) {
+  if (jwk.kty === 'EC') {
+    const length = EC_COORDINATE_LENGTHS[jwk.crv];
+    if (!length || typeof jwk.x !== 'string' || typeof jwk.y !== 'string' ||
+        jwk.x.length !== length || jwk.y.length !== length) {
+      return false;
+    }
+  } else if (jwk.kty === 'OKP') {
+    if (jwk.crv !== 'Ed25519' || typeof jwk.x !== 'string' || jwk.x.length !== ED25519_KEY_LENGTH) {
+      return false;
+    }
+  } else if (jwk.kty === 'RSA') {
+    if (typeof jwk.n !== 'string' || typeof jwk.e !== 'string' ||
+        jwk.n.length < RSA_MODULUS_LENGTHS.min || jwk.n.length > RSA_MODULUS_LENGTHS.max) {
+      return false;
+    }
+  } else {
     return false;
   }
 
-  return true;
+  return getJwkAlgorithms(jwk).length > 0;
 };
@@ -0,0 +1,241 @@
+// Data poisoning for scrapers
+// Once a signed-in client's risk score reaches POISON_THRESHOLD, read endpoints stop answering
+// with its real data or a 403 and serve plausible fabricated records instead, for POISON_TTL
+// seconds. Everything fabricated for a client is derived from a watermark, an HMAC of the
+// account and anti-scraping client id. The records are the same on every request, and each
+// one's content carries the watermark in zero-width characters, so a leaked dataset can be
+// traced back through the `data_poisoned` row in security_incidents.
+import crypto from 'crypto';
+import { INCIDENT_TYPES, logSecurityIncident } from './securityIncidents.js';
+import antiScrapingMiddleware from '../middleware/antiScraping.js';
+
+// Risk score at which reads get fabricated data; poisoning is off when unset
+export const getPoisonThreshold = () => parseInt(process.env.POISON_THRESHOLD) || null;
+const getPoisonTtl = () => parseInt(process.env.POISON_TTL) || 24 * 60 * 60;
+
+const getSecret = () => process.env.POISON_SECRET || process.env.JWT_SECRET;
+
+const poisonedClients = new Map(); // watermark -> when poisoning ends
+
+export const getWatermark = (userId, clientId) => {
+  return crypto.createHmac('sha256', getSecret()).update(`${userId}:${clientId}`).digest('hex').slice(0, 8);
+};
+
+// Watermark to fabricate this request's data with, or null to answer it normally. A client
+// stays poisoned until POISON_TTL runs out, even if its score drops, so it never sees a mix
+// of real and fabricated records.
+export const checkPoisoning = async (req, risk) => {
+  const threshold = getPoisonThreshold();
+  if (!threshold || req.method !== 'GET' || !req.user) {
+    return null;
+  }
+
+  const clientId = antiScrapingMiddleware.getClientId(req);
+  const watermark = getWatermark(req.user.id, clientId);
+
+  if ((poisonedClients.get(watermark) || 0) > Date.now()) {
+    return watermark;
+  }
+
+  if (risk.score < threshold) {
+    return null;
+  }
+
+  poisonedClients.set(watermark, Date.now() + getPoisonTtl() * 1000);
+
+  console.warn('Serving fabricated data:', { userId: req.user.id, clientId, watermark, score: risk.score });
+
+  await logSecurityIncident(req, INCIDENT_TYPES.DATA_POISONED, {
+    source: 'server',
+    clientId,
+    details: { watermark, userId: req.user.id, score: risk.score, contributions: risk.contributions }
+  });
+
+  return watermark;
+};
+
+// Zero-width space for a 0 bit, zero-width non-joiner for a 1, between word joiners
+const WATERMARK_MARK = '\u2060';
+const ZERO_BIT = '\u200B';
+const ONE_BIT = '\u200C';
+
+const encodeWatermark = (watermark) => {
+  const bits = [...watermark]
+    .map(char => parseInt(char, 16).toString(2).padStart(4, '0'))
+    .join('');
+  return WATERMARK_MARK + [...bits].map(bit => (bit === '1' ? ONE_BIT : ZERO_BIT)).join('') + WATERMARK_MARK;
+};
+
+// Watermark hidden in a piece of leaked text, or null if there isn't one
+export const extractWatermark = (text) => {
+  const match = new RegExp(`${WATERMARK_MARK}([${ZERO_BIT}${ONE_BIT}]{32})${WATERMARK_MARK}`).exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const bits = [...match[1]].map(char => (char === ONE_BIT ? '1' : '0')).join('');
+  return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+};
+
+// Deterministic random numbers in [0, 1) for one watermark and key
+const seededRandom = (watermark, key) => {
+  let digest = crypto.createHash('sha256').update(`${watermark}:${key}`).digest();
+  let offset = 0;
+  return () => {
+    if (offset === digest.length) {
+      digest = crypto.createHash('sha256').update(digest).digest();
+      offset = 0;
+    }
+    const value = digest.readUInt32BE(offset) / 0x100000000;
+    offset += 4;
+    return value;
+  };
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+const TOPICS = [
+  'quarterly planning', 'the onboarding flow', 'API rate limits', 'team retro', 'database migration',
+  'customer feedback', 'release checklist', 'hiring pipeline', 'vendor review', 'budget forecast',
+  'design system', 'incident follow-up', 'roadmap priorities', 'support backlog', 'pricing experiment'
+];
+
+const TITLE_TEMPLATES = [
+  topic => `Notes on ${topic}`,
+  topic => `Draft: ${topic}`,
+  topic => `Weekly update - ${topic}`,
+  topic => `Ideas for ${topic}`,
+  topic => `Open questions about ${topic}`,
+  topic => `Summary of ${topic}`
+];
+
+const SENTENCES = [
+  'We agreed to revisit this after the next sprint.',
+  'Most of the remaining work is on the reporting side.',
+  'The numbers from last month look better than expected.',
+  'A few people raised concerns about the timeline.',
+  'I still need to follow up with the other team on this.',
+  'The first version should stay as simple as possible.',
+  'Feedback so far has been mostly positive.',
+  'There are two options and neither is clearly better yet.',
+  'This depends on the budget being approved.',
+  'Let\'s keep an eye on how this affects support tickets.',
+  'The main risk is that we underestimated the effort.',
+  'Next step is to write up a short proposal.'
+];
+
+// Shape of the fabricated dataset: how many posts and where their ids end
+const getDatasetShape = (watermark) => {
+  const random = seededRandom(watermark, 'shape');
+  const total = 25 + Math.floor(random() * 150);
+  const newestId = 300 + Math.floor(random() * 4000) + total;
+  return { total, newestId };
+};
+
+// The index-th newest fabricated post, roughly a day and a half after the one before it
+const fabricatePostAt = (watermark, index) => {
+  const { newestId } = getDatasetShape(watermark);
+  const random = seededRandom(watermark, `post:${index}`);
+
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  const createdAt = new Date(today.getTime() - (index * 30 + random() * 20) * 60 * 60 * 1000);
+  const updatedAt = random() < 0.3
+    ? new Date(createdAt.getTime() + random() * 12 * 60 * 60 * 1000)
+    : createdAt;
+
+  const sentences = Array.from({ length: 2 + Math.floor(random() * 3) }, () => pick(random, SENTENCES));
+  const content = sentences.join(' ');
+  const firstSpace = content.indexOf(' ');
+
+  return {
+    id: newestId - index,
+    title: pick(random, TITLE_TEMPLATES)(pick(random, TOPICS)),
+    content: content.slice(0, firstSpace) + encodeWatermark(watermark) + content.slice(firstSpace),
+    created_at: createdAt,
+    updated_at: updatedAt
+  };
+};
+
+// The real query's `LIKE '%search%'` as a regex: case-insensitive, with % and _ as wildcards
+const likeToRegExp = (search) => new RegExp(search
+  .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  .replace(/%/g, '.*')
+  .replace(/_/g, '.'), 'is');
+
+const stripWatermark = (text) => text.replace(new RegExp(`[${WATERMARK_MARK}${ZERO_BIT}${ONE_BIT}]`, 'g'), '');
+
+// Same response shape as GET /crud/posts. A search filters the fabricated posts like the real
+// query does, so a term that appears nowhere finds nothing here either.
+export const fabricatePosts = (watermark, { page, limit, search = '' }) => {
+  const { total } = getDatasetShape(watermark);
+  const offset = (page - 1) * limit;
+
+  let posts = [];
+  let count = total;
+  if (search) {
+    const regex = likeToRegExp(search);
+    const matching = Array.from({ length: total }, (_, index) => fabricatePostAt(watermark, index))
+      .filter(post => regex.test(post.title) || regex.test(stripWatermark(post.content)));
+    count = matching.length;
+    posts = matching.slice(offset, offset + limit);
+  } else {
+    for (let index = offset; index < Math.min(offset + limit, total); index++) {
+      posts.push(fabricatePostAt(watermark, index));
+    }
+  }
+
+  return {
+    posts,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  };
+};
+
+// Fabricated post with this id, or null if it isn't one of the client's fabricated posts
+export const fabricatePost = (watermark, id) => {
+  const { total, newestId } = getDatasetShape(watermark);
+  const index = newestId - id;
+  return index >= 0 && index < total ? fabricatePostAt(watermark, index) : null;
+};
+
+// Same shape as GET /crud/stats, counted over the fabricated posts
+export const fabricateStats = (watermark) => {
+  const { total } = getDatasetShape(watermark);
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+
+  let postsThisWeek = 0;
+  let postsThisMonth = 0;
+  for (let index = 0; index < total; index++) {
+    const age = now - fabricatePostAt(watermark, index).created_at.getTime();
+    if (age > 30 * day) {
+      break;
+    }
+    postsThisMonth++;
+    if (age <= 7 * day) {
+      postsThisWeek++;
+    }
+  }
+
+  return {
+    totalPosts: total,
+    postsThisWeek,
+    postsThisMonth,
+    activeDeviceKeys: 1 + Math.floor(seededRandom(watermark, 'devices')() * 3)
+  };
+};
+
+// Clean up expired entries every 10 minutes
+setInterval(() => {
+  const now = Date.now();
+  for (const [watermark, expiresAt] of poisonedClients.entries()) {
+    if (expiresAt <= now) {
+      poisonedClients.delete(watermark);
+    }
+  }
+}, 600000);
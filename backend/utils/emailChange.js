@@ -0,0 +1,79 @@
+// Email address changes
+// The new address is kept as pending_email until the link sent to it is opened, so a typo or
+// someone else's address never becomes the login email. The old address is told either way.
+import crypto from 'crypto';
+import { database } from '../config/database.js';
+import { sendMail, getAppUrl } from './mailer.js';
+
+const EMAIL_CHANGE_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const hashEmailChangeToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Store the pending address and email a confirmation link to it. deviceKeyId is the device
+// that asked for the change; it stays signed in when the change is confirmed.
+export const requestEmailChange = async (user, newEmail, deviceKeyId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await database.run(`
+    UPDATE users
+    SET pending_email = ?, email_change_token_hash = ?, email_change_expires_at = ?,
+        email_change_device_key_id = ?
+    WHERE id = ?
+  `, [newEmail, hashEmailChangeToken(token), new Date(Date.now() + EMAIL_CHANGE_TOKEN_TTL_MS),
+    deviceKeyId, user.id]);
+
+  const confirmUrl = `${getAppUrl()}/confirm-email-change?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text: `Someone asked to use this address for their account${user.username ? ` (${user.username})` : ''}.\n\n` +
+      `Open this link within 24 hours to confirm the change:\n${confirmUrl}\n\n` +
+      `If this wasn't you, you can ignore this email.`
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Email change requested',
+    text: `Someone asked to change the email address of your account to ${newEmail}.\n\n` +
+      `Nothing changes until the new address is confirmed. If this wasn't you, change your password now.`
+  }).catch((error) => console.error('Failed to send email change notice:', error));
+};
+
+// Switch to the pending address behind a token. Returns { userId, deviceKeyId } or null if the
+// token is unknown, expired or already used. Throws ER_DUP_ENTRY if the address was taken since.
+export const confirmEmailChange = async (token) => {
+  const tokenHash = hashEmailChangeToken(token);
+
+  const user = await database.get(`
+    SELECT id, email, pending_email, email_change_device_key_id
+    FROM users
+    WHERE email_change_token_hash = ? AND email_change_expires_at > NOW() AND is_active = TRUE
+  `, [tokenHash]);
+
+  if (!user) {
+    return null;
+  }
+
+  // Conditional on the token hash so a token can only be used once
+  const result = await database.run(`
+    UPDATE users
+    SET email = pending_email, email_verified_at = CURRENT_TIMESTAMP, pending_email = NULL,
+        email_change_token_hash = NULL, email_change_expires_at = NULL, email_change_device_key_id = NULL,
+        email_verification_token_hash = NULL, email_verification_expires_at = NULL
+    WHERE id = ? AND email_change_token_hash = ?
+  `, [user.id, tokenHash]);
+
+  if (result.changes !== 1) {
+    return null;
+  }
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your email address was changed',
+    text: `The email address of your account was changed to ${user.pending_email} and other devices were signed out.\n\n` +
+      `If this wasn't you, contact support immediately.`
+  }).catch((error) => console.error('Failed to send email change notice:', error));
+
+  return { userId: user.id, deviceKeyId: user.email_change_device_key_id };
+};
@@ -0,0 +1,85 @@
+// Email verification for new accounts
+// Until a user opens the link we email them, EMAIL_VERIFICATION_POLICY decides what they can do:
+// "block" refuses to sign them in, "limited" signs them in read-only (see requireVerifiedEmail).
+import crypto from 'crypto';
+import { database } from '../config/database.js';
+import { sendMail, getAppUrl } from './mailer.js';
+
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+export const getEmailVerificationPolicy = () => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY || 'limited';
+  if (!['block', 'limited'].includes(policy)) {
+    throw new Error(`Unknown EMAIL_VERIFICATION_POLICY: ${policy}`);
+  }
+  return policy;
+};
+
+const hashVerificationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new verification token for the user and email the link
+export const sendVerificationEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await database.run(`
+    UPDATE users
+    SET email_verification_token_hash = ?, email_verification_expires_at = ?
+    WHERE id = ?
+  `, [hashVerificationToken(token), new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS), user.id]);
+
+  const verifyUrl = `${getAppUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Welcome${user.username ? `, ${user.username}` : ''}!\n\n` +
+      `Please confirm your email address by opening this link within 24 hours:\n${verifyUrl}\n\n` +
+      `If you didn't create an account, you can ignore this email.`
+  });
+};
+
+// Resend the link to an unverified address. Silently does nothing for unknown or already
+// verified addresses, and at most once a minute per address.
+export const resendVerificationEmail = async (email) => {
+  const user = await database.get(`
+    SELECT id, username, email, email_verification_expires_at
+    FROM users WHERE email = ? AND is_active = TRUE AND email_verified_at IS NULL
+  `, [email]);
+
+  if (!user) {
+    return;
+  }
+
+  if (user.email_verification_expires_at &&
+      new Date(user.email_verification_expires_at).getTime() >
+        Date.now() + VERIFICATION_TOKEN_TTL_MS - RESEND_COOLDOWN_MS) {
+    return;
+  }
+
+  await sendVerificationEmail(user);
+};
+
+// Mark the email behind a token as verified. Returns the user id, or null if the token is
+// unknown or expired.
+export const verifyEmailToken = async (token) => {
+  const tokenHash = hashVerificationToken(token);
+
+  const user = await database.get(`
+    SELECT id FROM users
+    WHERE email_verification_token_hash = ? AND email_verification_expires_at > NOW()
+  `, [tokenHash]);
+
+  if (!user) {
+    return null;
+  }
+
+  await database.run(`
+    UPDATE users
+    SET email_verified_at = CURRENT_TIMESTAMP,
+        email_verification_token_hash = NULL, email_verification_expires_at = NULL
+    WHERE id = ? AND email_verification_token_hash = ?
+  `, [user.id, tokenHash]);
+
+  return user.id;
+};
@@ -1,4 +1,17 @@
 // Fingerprint utilities for device identification and validation
+import { encryptAtRest, decryptAtRest } from './crypto.js';
+
+// The attributes a fingerprint is compared on, with defaults for missing ones
+export const normalizeFingerprint = (fingerprintData) => ({
+  ua: fingerprintData.ua || '',
+  lang: fingerprintData.lang || '',
+  tz: fingerprintData.tz || '',
+  scr: fingerprintData.scr || '',
+  hwc: fingerprintData.hwc || 0,
+  mem: fingerprintData.mem || 0,
+  platform: fingerprintData.platform || '',
+  webgl: fingerprintData.webgl || ''
+});
 
 // Generate a soft fingerprint hash from browser data
 export const generateFingerprintHash = (fingerprintData) => {
@@ -7,17 +20,7 @@ export const generateFingerprintHash = (fingerprintData) => {
   }
 
   try {
-    // Normalize the fingerprint data
-    const normalized = {
-      ua: fingerprintData.ua || '',
-      lang: fingerprintData.lang || '',
-      tz: fingerprintData.tz || '',
-      scr: fingerprintData.scr || '',
-      hwc: fingerprintData.hwc || 0,
-      mem: fingerprintData.mem || 0,
-      platform: fingerprintData.platform || '',
-      webgl: fingerprintData.webgl || ''
-    };
+    const normalized = normalizeFingerprint(fingerprintData);
 
     // Create a stable string representation
     const str = JSON.stringify(normalized, Object.keys(normalized).sort());
@@ -36,6 +39,44 @@ export const generateFingerprintHash = (fingerprintData) => {
   }
 };
 
+// Normalized attributes as stored on a device key: JSON, or encrypted when
+// FINGERPRINT_ENCRYPTION_KEY is set
+export const encodeFingerprint = (fingerprintData) => {
+  if (!fingerprintData || typeof fingerprintData !== 'object') {
+    return null;
+  }
+
+  const json = JSON.stringify(normalizeFingerprint(fingerprintData));
+  const key = process.env.FINGERPRINT_ENCRYPTION_KEY;
+  return key ? encryptAtRest(json, key) : json;
+};
+
+// Stored attributes back to an object; null if missing or encrypted under another key
+export const decodeFingerprint = (stored) => {
+  if (!stored) {
+    return null;
+  }
+
+  try {
+    if (stored.startsWith('{')) {
+      return JSON.parse(stored);
+    }
+
+    const key = process.env.FINGERPRINT_ENCRYPTION_KEY;
+    return key ? JSON.parse(decryptAtRest(stored, key)) : null;
+  } catch (error) {
+    console.warn('Failed to decode stored fingerprint:', error.message);
+    return null;
+  }
+};
+
+// Names of the normalized attributes that differ between two fingerprints
+export const getChangedAttributes = (stored, current) => {
+  const storedData = normalizeFingerprint(stored);
+  const currentData = normalizeFingerprint(current);
+  return Object.keys(storedData).filter(key => storedData[key] !== currentData[key]);
+};
+
 // Compare two fingerprints and return a similarity score
 export const compareFingerprintSimilarity = (stored, current) => {
   if (!stored || !current) {
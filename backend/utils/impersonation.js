@@ -0,0 +1,69 @@
+// Admin impersonation ("view as user") for support
+// The admin's browser gets a short-lived access token for the target user, bound to a fresh
+// device key of its own. The token carries an `act` claim naming the admin, no refresh token is
+// issued, and every request made with it is written to impersonation_audit with both user ids.
+import { v4 as uuidv4 } from 'uuid';
+import { database } from '../config/database.js';
+import { generateAccessToken, generateKeyThumbprint } from './crypto.js';
+import { revokeDevice } from './refreshTokens.js';
+
+// Seconds an impersonation token lasts (IMPERSONATION_TTL); it can't be refreshed
+export const getImpersonationTtl = () => parseInt(process.env.IMPERSONATION_TTL) || 10 * 60;
+
+export const recordImpersonationEvent = async ({
+  actorId, targetId, deviceKeyId = null, action, req = null, statusCode = null, reason = null
+}) => {
+  try {
+    await database.run(`
+      INSERT INTO impersonation_audit
+        (actor_user_id, target_user_id, device_key_id, action, method, endpoint, status_code, ip_address, reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [actorId, targetId, deviceKeyId, action, req?.method || null, req?.originalUrl?.slice(0, 255) || null,
+      statusCode, req?.securityContext?.ip || null, reason]);
+  } catch (error) {
+    console.error('Failed to record impersonation event:', error);
+  }
+};
+
+// Register the admin's new device key for the target user and issue the impersonation token
+export const startImpersonation = async (req, admin, target, publicKeyJwk, reason) => {
+  const deviceKeyResult = await database.run(`
+    INSERT INTO device_keys (user_id, key_id, public_key_jwk, last_ip, user_agent, impersonator_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [target.id, uuidv4(), JSON.stringify(publicKeyJwk), req.securityContext?.ip,
+    req.securityContext?.userAgent, admin.id]);
+
+  const deviceKeyId = deviceKeyResult.id;
+  const expiresIn = getImpersonationTtl();
+
+  const accessToken = await generateAccessToken(target.id, generateKeyThumbprint(publicKeyJwk), deviceKeyId, {
+    actorId: admin.id,
+    expiresIn: `${expiresIn}s`
+  });
+
+  await recordImpersonationEvent({
+    actorId: admin.id,
+    targetId: target.id,
+    deviceKeyId,
+    action: 'start',
+    req,
+    statusCode: 200,
+    reason
+  });
+
+  return { accessToken, expiresIn };
+};
+
+// End an impersonation session early; its device key and token stop working immediately
+export const endImpersonation = async (req) => {
+  await revokeDevice(req.user.deviceKeyId, 'impersonation_ended');
+
+  await recordImpersonationEvent({
+    actorId: req.user.impersonator.id,
+    targetId: req.user.id,
+    deviceKeyId: req.user.deviceKeyId,
+    action: 'end',
+    req,
+    statusCode: 200
+  });
+};
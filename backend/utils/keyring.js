@@ -0,0 +1,193 @@
+// Access token signing keys
+// Keys are kept in JWT_KEYS_FILE as { keys: [{ kid, alg, status, createdAt, retiredAt, privateJwk }] }.
+// The single "active" key signs new tokens. "retiring" keys no longer sign but stay in the
+// JWKS until every token they signed has expired, so rotation never invalidates live tokens.
+import fs from 'fs/promises';
+import path from 'path';
+import { generateKeyPair, exportJWK, importJWK, calculateJwkThumbprint } from 'jose';
+
+export const SUPPORTED_SIGNING_ALGS = ['ES256', 'EdDSA'];
+
+let entries = null;
+let loadPromise = null;
+let reloadTimer = null;
+let lastForcedReload = 0;
+let forcedReloadPromise = null;
+
+// Least time between the extra reloads an unknown kid triggers, so forged kids can't make
+// every request read the keys file
+const FORCED_RELOAD_INTERVAL = 5 * 1000;
+
+const getKeysFile = () => process.env.JWT_KEYS_FILE || null;
+
+const getSigningAlg = () => {
+  const alg = process.env.JWT_SIGNING_ALG || 'ES256';
+  if (!SUPPORTED_SIGNING_ALGS.includes(alg)) {
+    throw new Error(`Unsupported JWT_SIGNING_ALG: ${alg}`);
+  }
+  return alg;
+};
+
+// How long a retired key stays published (must outlive JWT_EXPIRES_IN)
+const getRetireTtl = () => parseInt(process.env.JWT_KEY_RETIRE_TTL) || 24 * 60 * 60 * 1000;
+
+// Generate a new signing key entry; the kid is the key's JWK thumbprint
+const createKeyEntry = async (alg) => {
+  const { privateKey } = await generateKeyPair(alg, { crv: alg === 'EdDSA' ? 'Ed25519' : undefined, extractable: true });
+  const privateJwk = await exportJWK(privateKey);
+
+  return {
+    kid: await calculateJwkThumbprint(privateJwk),
+    alg,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    retiredAt: null,
+    privateJwk
+  };
+};
+
+// Import the key material of a stored entry
+const importKeyEntry = async (entry) => {
+  const { d, ...publicJwk } = entry.privateJwk;
+
+  return {
+    ...entry,
+    publicJwk,
+    privateKey: await importJWK(entry.privateJwk, entry.alg),
+    publicKey: await importJWK(publicJwk, entry.alg)
+  };
+};
+
+// Drop retiring keys whose tokens have all expired
+const pruneRetiredKeys = (keys) => {
+  const cutoff = Date.now() - getRetireTtl();
+  return keys.filter(key => key.status === 'active' || new Date(key.retiredAt).getTime() > cutoff);
+};
+
+const readKeysFile = async (file) => {
+  try {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    return Array.isArray(data.keys) ? data.keys : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+const writeKeysFile = async (file, keys) => {
+  const stored = keys.map(({ kid, alg, status, createdAt, retiredAt, privateJwk }) => ({
+    kid, alg, status, createdAt, retiredAt, privateJwk
+  }));
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ keys: stored }, null, 2), { mode: 0o600 });
+};
+
+const loadKeyring = async () => {
+  const file = getKeysFile();
+  let stored = file ? pruneRetiredKeys(await readKeysFile(file)) : [];
+
+  if (!stored.some(key => key.status === 'active')) {
+    stored.push(await createKeyEntry(getSigningAlg()));
+
+    if (file) {
+      await writeKeysFile(file, stored);
+      console.log(`Generated new access token signing key in ${file}`);
+    } else {
+      console.warn('JWT_KEYS_FILE not set: using an ephemeral signing key, tokens will not survive a restart');
+    }
+  }
+
+  entries = await Promise.all(stored.map(importKeyEntry));
+
+  // Pick up rotations done by other instances or the rotate-keys script
+  if (file && !reloadTimer) {
+    reloadTimer = setInterval(() => {
+      loadKeyring().catch((error) => console.error('Failed to reload signing keys:', error));
+    }, parseInt(process.env.JWT_KEYS_RELOAD_INTERVAL) || 60 * 1000);
+    reloadTimer.unref();
+  }
+
+  return entries;
+};
+
+// Load the keyring (once); called at startup and lazily by the accessors below
+export const initKeyring = async () => {
+  if (!loadPromise) {
+    loadPromise = loadKeyring().catch((error) => {
+      loadPromise = null;
+      throw error;
+    });
+  }
+  await loadPromise;
+  return entries;
+};
+
+// Key used to sign new access tokens
+export const getActiveSigningKey = async () => {
+  const keys = await initKeyring();
+  return keys.find(key => key.status === 'active');
+};
+
+// Reload the keys file now, unless that was done within the last FORCED_RELOAD_INTERVAL
+const reloadKeyringNow = async () => {
+  if (!forcedReloadPromise && Date.now() - lastForcedReload >= FORCED_RELOAD_INTERVAL) {
+    lastForcedReload = Date.now();
+    forcedReloadPromise = loadKeyring()
+      .catch((error) => console.error('Failed to reload signing keys:', error))
+      .finally(() => {
+        forcedReloadPromise = null;
+      });
+  }
+  await forcedReloadPromise;
+  return entries;
+};
+
+// Key (active or retiring) matching a token's kid header. An unknown kid may have been made by
+// a rotation on another instance since our last periodic reload, so reload before giving up.
+export const getVerificationKey = async (kid) => {
+  const keys = await initKeyring();
+  const found = keys.find(key => key.kid === kid);
+  if (found || !getKeysFile()) {
+    return found || null;
+  }
+
+  const reloaded = await reloadKeyringNow();
+  return reloaded.find(key => key.kid === kid) || null;
+};
+
+// Public keys for GET /.well-known/jwks.json
+export const getPublicJwks = async () => {
+  const keys = await initKeyring();
+  return {
+    keys: keys.map(key => ({
+      ...key.publicJwk,
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+  };
+};
+
+// Make a new active key and move the current one to retiring
+export const rotateSigningKey = async () => {
+  const file = getKeysFile();
+  if (!file) {
+    throw new Error('JWT_KEYS_FILE must be set to rotate signing keys');
+  }
+
+  const stored = pruneRetiredKeys(await readKeysFile(file)).map(key => (
+    key.status === 'active'
+      ? { ...key, status: 'retiring', retiredAt: new Date().toISOString() }
+      : key
+  ));
+
+  const newKey = await createKeyEntry(getSigningAlg());
+  stored.push(newKey);
+  await writeKeysFile(file, stored);
+
+  entries = await Promise.all(stored.map(importKeyEntry));
+  return newKey.kid;
+};
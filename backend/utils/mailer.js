@@ -0,0 +1,85 @@
+// Outgoing mail
+// Select the transport with MAIL_TRANSPORT=smtp|outbox. The outbox transport writes each
+// message to MAIL_OUTBOX_DIR as JSON (or logs it when no directory is set) for dev and tests.
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+const getDefaultFrom = () => process.env.MAIL_FROM || 'Prevent Scraping <no-reply@localhost>';
+
+// Frontend base URL for links in emails
+export const getAppUrl = () => process.env.APP_URL || 'http://localhost:5173';
+
+// Delivers through an SMTP server
+export class SmtpTransport {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT) || 587,
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASSWORD
+  } = {}) {
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+// Keeps messages locally instead of sending them
+export class OutboxTransport {
+  constructor(directory = null) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    if (this.directory) {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(
+        path.join(this.directory, `${id}.json`),
+        JSON.stringify({ id, date: new Date().toISOString(), ...message }, null, 2)
+      );
+    } else {
+      console.log(`[outbox] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    }
+
+    return { id };
+  }
+}
+
+let transport = null;
+
+export const getMailTransport = () => {
+  if (!transport) {
+    const backend = process.env.MAIL_TRANSPORT || 'outbox';
+
+    if (backend === 'smtp') {
+      transport = new SmtpTransport();
+    } else if (backend === 'outbox') {
+      transport = new OutboxTransport(process.env.MAIL_OUTBOX_DIR || null);
+    } else {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${backend}`);
+    }
+  }
+
+  return transport;
+};
+
+// Replace the transport (any object with an async send(message) method)
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+export const sendMail = ({ to, subject, text, html }) => {
+  return getMailTransport().send({ from: getDefaultFrom(), to, subject, text, html });
+};
@@ -0,0 +1,86 @@
+// Password reset tokens
+// Only the SHA-256 of a token is stored, on the user row, so there is at most one live token
+// per user and requesting a new one invalidates the previous link.
+import crypto from 'crypto';
+import { database } from '../config/database.js';
+import { sendMail, getAppUrl } from './mailer.js';
+
+const getResetTokenTtl = () => parseInt(process.env.PASSWORD_RESET_TTL) || 30 * 60 * 1000; // 30 minutes
+const RESET_REQUEST_COOLDOWN_MS = 60 * 1000; // one email per address per minute
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a reset token and email the link. Does nothing for unknown or inactive addresses;
+// callers respond the same way either way so the endpoint can't be used to probe for accounts.
+export const requestPasswordReset = async (email) => {
+  const user = await database.get(`
+    SELECT id, email, password_reset_expires_at
+    FROM users WHERE email = ? AND is_active = TRUE
+  `, [email]);
+
+  if (!user) {
+    return;
+  }
+
+  // Skip if a token was issued moments ago (its expiry is still almost a full TTL away)
+  const ttl = getResetTokenTtl();
+  if (user.password_reset_expires_at &&
+      new Date(user.password_reset_expires_at).getTime() > Date.now() + ttl - RESET_REQUEST_COOLDOWN_MS) {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await database.run(`
+    UPDATE users
+    SET password_reset_token_hash = ?, password_reset_expires_at = ?
+    WHERE id = ?
+  `, [hashResetToken(token), new Date(Date.now() + ttl), user.id]);
+
+  const resetUrl = `${getAppUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  const minutes = Math.round(ttl / 60000);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Someone asked to reset the password for your account.\n\n` +
+      `Open this link within ${minutes} minutes to choose a new password:\n${resetUrl}\n\n` +
+      `If this wasn't you, you can ignore this email.`
+  });
+};
+
+// Set a new password using a reset token. Returns the user id, or null if the token is
+// unknown, expired or already used.
+export const resetPassword = async (token, passwordHash) => {
+  const tokenHash = hashResetToken(token);
+
+  const user = await database.get(`
+    SELECT id, email FROM users
+    WHERE password_reset_token_hash = ? AND password_reset_expires_at > NOW() AND is_active = TRUE
+  `, [tokenHash]);
+
+  if (!user) {
+    return null;
+  }
+
+  // Conditional on the token hash so a token can only be used once
+  const result = await database.run(`
+    UPDATE users
+    SET password_hash = ?, password_reset_token_hash = NULL, password_reset_expires_at = NULL,
+        login_attempts = 0, locked_until = NULL
+    WHERE id = ? AND password_reset_token_hash = ?
+  `, [passwordHash, user.id, tokenHash]);
+
+  if (result.changes !== 1) {
+    return null;
+  }
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: `The password for your account was just reset and all devices were signed out.\n\n` +
+      `If this wasn't you, contact support immediately.`
+  }).catch((error) => console.error('Failed to send password change notice:', error));
+
+  return user.id;
+};
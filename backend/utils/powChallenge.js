@@ -0,0 +1,123 @@
+// Proof-of-work challenges for suspicious clients
+// A challenge is a stateless HMAC-signed token naming the client, a random nonce, a difficulty
+// and an expiry. The client must find a solution where SHA-256("<challenge>:<solution>") starts
+// with `difficulty` zero bits. Solving it earns a clearance token for the same client, which
+// lowers that client's suspicion and risk scores until it expires.
+import crypto from 'crypto';
+
+// Leading zero bits at suspicion score 0, and the most we ever ask for (about a million hashes)
+const getBaseDifficulty = () => parseInt(process.env.POW_BASE_DIFFICULTY) || 14;
+const getMaxDifficulty = () => parseInt(process.env.POW_MAX_DIFFICULTY) || 20;
+
+// Seconds a challenge can be solved in, and how long the clearance it earns lasts
+export const getChallengeTtl = () => parseInt(process.env.POW_CHALLENGE_TTL) || 120;
+export const getClearanceTtl = () => parseInt(process.env.POW_CLEARANCE_TTL) || 30 * 60;
+
+const getSecret = () => process.env.POW_SECRET || process.env.JWT_SECRET;
+
+const sign = (payload) => {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const mac = crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+  return `${data}.${mac}`;
+};
+
+// Payload of a token signed by sign(), or null if it was tampered with or is malformed
+const verifySignature = (token) => {
+  if (typeof token !== 'string' || token.length > 1024) {
+    return null;
+  }
+
+  const [data, mac] = token.split('.');
+  if (!data || !mac) {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', getSecret()).update(data).digest();
+  const given = Buffer.from(mac, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// One more bit (twice the work) for every 15 points of suspicion
+export const getDifficulty = (suspicionScore = 0) => {
+  return Math.min(getMaxDifficulty(), getBaseDifficulty() + Math.floor(Math.max(0, suspicionScore) / 15));
+};
+
+export const createChallenge = (clientId, suspicionScore = 0) => {
+  const difficulty = getDifficulty(suspicionScore);
+  const expiresAt = Date.now() + getChallengeTtl() * 1000;
+
+  return {
+    challenge: sign({
+      typ: 'pow',
+      cid: clientId,
+      nonce: crypto.randomBytes(16).toString('base64url'),
+      diff: difficulty,
+      exp: expiresAt
+    }),
+    difficulty,
+    algorithm: 'SHA-256',
+    expiresAt
+  };
+};
+
+const countLeadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+// Check a solution for a challenge issued to clientId. Returns { valid, nonce, expiresAt }
+// or { valid: false, error }; callers must reject nonces that were already used.
+export const verifySolution = (challenge, solution, clientId) => {
+  const payload = verifySignature(challenge);
+  if (!payload || payload.typ !== 'pow') {
+    return { valid: false, error: 'Invalid challenge' };
+  }
+
+  if (payload.exp <= Date.now()) {
+    return { valid: false, error: 'Challenge expired' };
+  }
+
+  if (payload.cid !== clientId) {
+    return { valid: false, error: 'Challenge was issued to another client' };
+  }
+
+  if (typeof solution !== 'string' || solution.length > 32) {
+    return { valid: false, error: 'Invalid solution' };
+  }
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+  if (countLeadingZeroBits(hash) < payload.diff) {
+    return { valid: false, error: 'Invalid solution' };
+  }
+
+  return { valid: true, nonce: payload.nonce, expiresAt: payload.exp };
+};
+
+export const createClearance = (clientId) => {
+  const expiresIn = getClearanceTtl();
+  return {
+    clearance: sign({ typ: 'clearance', cid: clientId, exp: Date.now() + expiresIn * 1000 }),
+    expiresIn
+  };
+};
+
+export const verifyClearance = (clearance, clientId) => {
+  const payload = verifySignature(clearance);
+  return !!payload && payload.typ === 'clearance' && payload.cid === clientId && payload.exp > Date.now();
+};
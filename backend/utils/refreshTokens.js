@@ -0,0 +1,117 @@
+import { v4 as uuidv4 } from 'uuid';
+import { decodeJwt } from 'jose';
+import { database } from '../config/database.js';
+import { generateRefreshToken, hashRefreshToken } from './crypto.js';
+import {
+  denyFamilyAccessTokens,
+  denyRefreshRowAccessTokens,
+  denyDeviceAccessTokens,
+  denyUserAccessTokens
+} from './accessTokenDenylist.js';
+
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Create a refresh token and store its hash. Pass familyId to continue an existing family,
+// and the access token issued alongside it so it can be denylisted with the session.
+export const issueRefreshToken = async (userId, deviceKeyId, { familyId = uuidv4(), accessToken = null } = {}) => {
+  const refreshToken = generateRefreshToken(userId, deviceKeyId);
+  const refreshTokenHash = hashRefreshToken(refreshToken);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+  const accessClaims = accessToken ? decodeJwt(accessToken) : {};
+  const accessTokenExpiresAt = accessClaims.exp ? new Date(accessClaims.exp * 1000) : null;
+
+  const result = await database.run(`
+    INSERT INTO refresh_tokens (
+      user_id, token_hash, device_key_id, expires_at, family_id,
+      access_token_jti, access_token_expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    userId, refreshTokenHash, deviceKeyId, expiresAt, familyId,
+    accessClaims.jti || null, accessTokenExpiresAt
+  ]);
+
+  return { refreshToken, id: result.id, familyId };
+};
+
+// Replace a stored refresh token with a new one from the same family.
+// Returns null if the old token was already rotated (e.g. by a concurrent request).
+export const rotateRefreshToken = async (storedToken, accessToken = null) => {
+  const familyId = storedToken.family_id || uuidv4();
+  const issued = await issueRefreshToken(storedToken.user_id, storedToken.device_key_id, { familyId, accessToken });
+
+  const result = await database.run(`
+    UPDATE refresh_tokens
+    SET is_revoked = 1, replaced_by = ?, family_id = ?
+    WHERE id = ? AND is_revoked = 0
+  `, [issued.id, familyId, storedToken.id]);
+
+  if (result.changes === 0) {
+    await database.run('UPDATE refresh_tokens SET is_revoked = 1 WHERE id = ?', [issued.id]);
+    return null;
+  }
+
+  return issued;
+};
+
+// Revoke every token in the family of the given refresh token row, including the
+// access tokens issued with them
+export const revokeTokenFamily = async (storedToken, reason = 'revoked') => {
+  if (storedToken.family_id) {
+    await denyFamilyAccessTokens(storedToken.family_id, reason);
+    await database.run(`
+      UPDATE refresh_tokens
+      SET is_revoked = 1
+      WHERE family_id = ?
+    `, [storedToken.family_id]);
+  } else {
+    await denyRefreshRowAccessTokens(storedToken.id, reason);
+    await database.run('UPDATE refresh_tokens SET is_revoked = 1 WHERE id = ?', [storedToken.id]);
+  }
+};
+
+// Revoke every refresh token of a user and deny the access tokens issued with them
+export const revokeUserSessions = async (userId, reason = 'logout_all') => {
+  await denyUserAccessTokens(userId, reason);
+  await database.run(`
+    UPDATE refresh_tokens
+    SET is_revoked = 1
+    WHERE user_id = ? AND is_revoked = 0
+  `, [userId]);
+};
+
+// Deactivate a device key and revoke its refresh tokens and the access tokens issued with them
+export const revokeDevice = async (deviceKeyId, reason = 'device_revoked') => {
+  await database.run('UPDATE device_keys SET is_active = 0 WHERE id = ?', [deviceKeyId]);
+  await denyDeviceAccessTokens(deviceKeyId, reason);
+  await database.run(`
+    UPDATE refresh_tokens
+    SET is_revoked = 1
+    WHERE device_key_id = ?
+  `, [deviceKeyId]);
+};
+
+// Revoke every active device of a user except one (pass null to keep none).
+// Returns the number of devices revoked.
+export const revokeOtherDevices = async (userId, keepDeviceKeyId, reason = 'device_revoked') => {
+  const devices = await database.all(`
+    SELECT id FROM device_keys
+    WHERE user_id = ? AND is_active = TRUE AND NOT (id <=> ?)
+  `, [userId, keepDeviceKeyId]);
+
+  for (const device of devices) {
+    await revokeDevice(device.id, reason);
+  }
+
+  return devices.length;
+};
+
+// Set refresh token as HTTP-only cookie
+export const setRefreshTokenCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: REFRESH_TOKEN_TTL_MS
+  });
+};
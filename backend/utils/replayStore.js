@@ -0,0 +1,102 @@
+// DPoP replay protection stores
+// Each store remembers a proof's jti until the proof itself would be rejected for age
+// (iat + skew). Select the backend with DPOP_REPLAY_STORE=memory|mysql.
+import crypto from 'crypto';
+import { database } from '../config/database.js';
+
+// Key jtis by the proof's key thumbprint so one client can't burn another's jti values
+const replayKey = (keyThumbprint, jti) => {
+  return crypto.createHash('sha256').update(`${keyThumbprint}:${jti}`).digest('hex');
+};
+
+// In-memory LRU store (single process only)
+export class MemoryReplayStore {
+  constructor(maxEntries = 100000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> expiresAt (ms)
+  }
+
+  // Record a jti. Resolves false if it was already seen and hasn't expired.
+  async checkAndStore(keyThumbprint, jti, expiresAt) {
+    const key = replayKey(keyThumbprint, jti);
+    const now = Date.now();
+
+    const existing = this.entries.get(key);
+    if (existing && existing > now) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, expiresAt.getTime());
+    this.evict(now);
+
+    return true;
+  }
+
+  // Drop expired entries from the front, then the least recently added if over capacity
+  evict(now = Date.now()) {
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt > now && this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+}
+
+// MySQL-backed store, shared by every server instance and kept across restarts
+export class MySQLReplayStore {
+  constructor(cleanupInterval = 5 * 60 * 1000) {
+    this.cleanupTimer = setInterval(() => {
+      this.cleanup().catch((error) => {
+        console.error('DPoP replay store cleanup failed:', error);
+      });
+    }, cleanupInterval);
+    this.cleanupTimer.unref();
+  }
+
+  async checkAndStore(keyThumbprint, jti, expiresAt) {
+    const key = replayKey(keyThumbprint, jti);
+
+    const inserted = await database.run(`
+      INSERT IGNORE INTO dpop_jti (jti_hash, expires_at)
+      VALUES (?, ?)
+    `, [key, expiresAt]);
+
+    if (inserted.changes > 0) {
+      return true;
+    }
+
+    // Already present: only an expired row that cleanup hasn't removed yet may be reused
+    const reclaimed = await database.run(`
+      UPDATE dpop_jti
+      SET expires_at = ?
+      WHERE jti_hash = ? AND expires_at < NOW()
+    `, [expiresAt, key]);
+
+    return reclaimed.changes > 0;
+  }
+
+  async cleanup() {
+    await database.run('DELETE FROM dpop_jti WHERE expires_at < NOW()');
+  }
+}
+
+let replayStore = null;
+
+// Get the configured replay store (created on first use, after env is loaded)
+export const getReplayStore = () => {
+  if (!replayStore) {
+    const backend = process.env.DPOP_REPLAY_STORE || 'memory';
+
+    if (backend === 'mysql') {
+      replayStore = new MySQLReplayStore();
+    } else if (backend === 'memory') {
+      replayStore = new MemoryReplayStore(parseInt(process.env.DPOP_REPLAY_CACHE_SIZE) || 100000);
+    } else {
+      throw new Error(`Unknown DPOP_REPLAY_STORE: ${backend}`);
+    }
+  }
+
+  return replayStore;
+};
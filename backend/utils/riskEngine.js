@@ -0,0 +1,121 @@
+// Risk scoring for authentication decisions
+// Each signal the security middleware already collects (suspicious fingerprint, fingerprint
+// drift, IP changes, request patterns, failed logins...) adds points to a 0-100 score, and a
+// solved proof-of-work challenge takes some off. The contributions are kept so every decision
+// can be explained. The policy table maps score bands to an action: allow, step_up, challenge
+// or block.
+import { detectSuspiciousActivity } from '../middleware/security.js';
+import { detectSuspiciousFingerprint } from './fingerprint.js';
+import antiScrapingMiddleware from '../middleware/antiScraping.js';
+
+export const RISK_ACTIONS = {
+  ALLOW: 'allow',
+  STEP_UP: 'step_up',
+  CHALLENGE: 'challenge',
+  BLOCK: 'block'
+};
+
+// Lowest score for each action; anything below the lowest is allowed
+const DEFAULT_POLICY = { step_up: 40, challenge: 60, block: 85 };
+
+// Policy from RISK_POLICY ("step_up:40,challenge:60,block:85"), highest band first.
+// Actions left out keep their default threshold.
+export const getRiskPolicy = () => {
+  const policy = { ...DEFAULT_POLICY };
+
+  for (const entry of (process.env.RISK_POLICY || '').split(',')) {
+    const [action, minScore] = entry.split(':').map(part => part?.trim());
+    if (action in policy && !isNaN(parseInt(minScore))) {
+      policy[action] = parseInt(minScore);
+    }
+  }
+
+  return Object.entries(policy)
+    .map(([action, minScore]) => ({ action, minScore }))
+    .sort((a, b) => b.minScore - a.minScore);
+};
+
+export const getRiskAction = (score) => {
+  const band = getRiskPolicy().find(({ minScore }) => score >= minScore);
+  return band ? band.action : RISK_ACTIONS.ALLOW;
+};
+
+const parseFingerprint = (fingerprint) => {
+  if (!fingerprint || typeof fingerprint === 'object') {
+    return fingerprint || null;
+  }
+
+  try {
+    return JSON.parse(fingerprint);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Score a request. Signals set by earlier middleware on req are used when present; login and
+// refresh run without that middleware, so they pass what they know in options:
+//   fingerprint            - fingerprint object or JSON (defaults to the X-Fingerprint header)
+//   fingerprintComparison  - result of compareFingerprints against the device's fingerprint
+//   userId                 - account the request is about, for the multiple-IP check
+//   loginAttempts          - failed logins since the last successful one
+export const assessRisk = async (req, {
+  fingerprint = req.get('X-Fingerprint'),
+  fingerprintComparison = null,
+  userId = req.user?.id ?? null,
+  loginAttempts = 0
+} = {}) => {
+  const contributions = [];
+  const add = (signal, points, detail = null) => {
+    if (points !== 0) {
+      contributions.push({ signal, points: Math.round(points), detail });
+    }
+  };
+
+  // Fingerprint: missing, or showing headless-browser traits
+  const fingerprintData = req.fingerprintData || parseFingerprint(fingerprint);
+  if (!fingerprintData) {
+    add('fingerprint_missing', 15);
+  } else {
+    const suspicious = req.suspiciousFingerprint || detectSuspiciousFingerprint(fingerprintData);
+    if (suspicious.suspicious) {
+      add('fingerprint_suspicious', suspicious.score * 50, suspicious.patterns);
+    }
+  }
+
+  // Fingerprint drift away from the device's stored one
+  if (fingerprintComparison && !fingerprintComparison.match) {
+    add('fingerprint_mismatch', 40 * (1 - fingerprintComparison.similarity), fingerprintComparison.changedAttributes);
+  } else if (req.fingerprintMismatch) {
+    add('fingerprint_mismatch', 40 * (1 - (req.fingerprintSimilarity ?? 0)));
+  }
+
+  if (req.ipChanged) {
+    add('ip_changed', 10);
+  }
+
+  // Request volume per IP and IPs per user, from request_logs
+  const activity = req.suspiciousActivity ||
+    await detectSuspiciousActivity(userId, req.securityContext?.ip);
+  if (activity.suspicious) {
+    add('suspicious_activity', 25, activity.reason);
+  }
+
+  // Behaviour the anti-scraping middleware has seen from this client (0-100)
+  const suspicionScore = antiScrapingMiddleware.getSuspicionScore(req);
+  if (suspicionScore > 0) {
+    add('scraping_pattern', suspicionScore * 0.3, suspicionScore);
+  }
+
+  if (loginAttempts > 0) {
+    add('failed_logins', Math.min(loginAttempts * 5, 25), loginAttempts);
+  }
+
+  // A solved proof-of-work challenge counts in the client's favour
+  if (antiScrapingMiddleware.hasClearance(req)) {
+    add('challenge_solved', -30);
+  }
+
+  const score = Math.max(0, Math.min(100, contributions.reduce((sum, { points }) => sum + points, 0)));
+
+  return { score, action: getRiskAction(score), contributions };
+};
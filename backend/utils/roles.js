@@ -0,0 +1,80 @@
+// Role-based access control
+// A role is a named, comma-separated set of permissions in `roles`; users get roles through
+// `user_roles`. Permissions are looked up on every request instead of being put in the access
+// token, so revoking a role or suspending an account takes effect immediately.
+import { database } from '../config/database.js';
+
+export const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_SUSPEND: 'users:suspend',
+  USERS_UNLOCK: 'users:unlock',
+  USERS_IMPERSONATE: 'users:impersonate',
+  INCIDENTS_READ: 'incidents:read'
+};
+
+// Built-in roles; their permissions are reset to these on every start
+const BUILT_IN_ROLES = [
+  {
+    name: 'admin',
+    description: 'Manage user accounts',
+    permissions: Object.values(PERMISSIONS)
+  }
+];
+
+export const seedRoles = async () => {
+  for (const role of BUILT_IN_ROLES) {
+    await database.run(`
+      INSERT INTO roles (name, description, permissions)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE description = VALUES(description), permissions = VALUES(permissions)
+    `, [role.name, role.description, role.permissions.join(',')]);
+  }
+};
+
+// Roles and the union of their permissions for a user
+export const getUserAccess = async (userId) => {
+  const rows = await database.all(`
+    SELECT r.name, r.permissions
+    FROM user_roles ur
+    JOIN roles r ON ur.role_id = r.id
+    WHERE ur.user_id = ?
+  `, [userId]);
+
+  const permissions = new Set();
+  for (const row of rows) {
+    for (const permission of (row.permissions || '').split(',')) {
+      if (permission) {
+        permissions.add(permission);
+      }
+    }
+  }
+
+  return { roles: rows.map(row => row.name), permissions: [...permissions] };
+};
+
+export const hasPermission = (user, permission) => !!user?.permissions?.includes(permission);
+
+// Resolves true if the role was granted, false if the user already had it.
+// Throws if the role doesn't exist.
+export const grantRole = async (userId, roleName, grantedBy = null) => {
+  const role = await database.get('SELECT id FROM roles WHERE name = ?', [roleName]);
+  if (!role) {
+    throw new Error(`Unknown role: ${roleName}`);
+  }
+
+  const result = await database.run(`
+    INSERT IGNORE INTO user_roles (user_id, role_id, granted_by) VALUES (?, ?, ?)
+  `, [userId, role.id, grantedBy]);
+
+  return result.changes === 1;
+};
+
+export const revokeRole = async (userId, roleName) => {
+  const result = await database.run(`
+    DELETE ur FROM user_roles ur
+    JOIN roles r ON ur.role_id = r.id
+    WHERE ur.user_id = ? AND r.name = ?
+  `, [userId, roleName]);
+
+  return result.changes > 0;
+};
@@ -0,0 +1,55 @@
+// Security incident log
+// Bot detections are written to security_incidents so they can be analyzed after the fact:
+// `bot_attempt` rows come from the anti-scraping middleware, `bot_report` rows from the
+// frontend's own checks via POST /api/security/bot-detected, `honeypot_hit` rows from clients
+// that requested a decoy endpoint, `data_poisoned` rows from clients that started getting
+// fabricated data (utils/dataPoisoning.js).
+import { database } from '../config/database.js';
+import { getRequestFingerprintHash } from '../middleware/security.js';
+
+export const INCIDENT_TYPES = {
+  BOT_ATTEMPT: 'bot_attempt',
+  BOT_REPORT: 'bot_report',
+  HONEYPOT_HIT: 'honeypot_hit',
+  DATA_POISONED: 'data_poisoned'
+};
+
+// Headers that tell a browser from a script; cookies and credentials are never stored
+const RECORDED_HEADERS = [
+  'accept',
+  'accept-language',
+  'accept-encoding',
+  'connection',
+  'referer',
+  'origin',
+  'sec-fetch-site',
+  'sec-fetch-mode',
+  'sec-fetch-dest',
+  'sec-ch-ua',
+  'sec-ch-ua-platform'
+];
+
+export const pickRecordedHeaders = (req) => {
+  const headers = {};
+  for (const name of RECORDED_HEADERS) {
+    if (req.headers[name]) {
+      headers[name] = String(req.headers[name]).slice(0, 255);
+    }
+  }
+  return headers;
+};
+
+// Never throws: a failed write must not change how the request is answered
+export const logSecurityIncident = async (req, incidentType, { source, clientId = null, details = null } = {}) => {
+  try {
+    await database.run(`
+      INSERT INTO security_incidents
+        (incident_type, source, client_id, ip_address, user_agent, fingerprint_hash, method, endpoint, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [incidentType, source, clientId, req.securityContext?.ip || req.ip || null,
+      req.get('User-Agent') || null, getRequestFingerprintHash(req), req.method,
+      req.originalUrl?.slice(0, 255) || null, details ? JSON.stringify(details) : null]);
+  } catch (error) {
+    console.error('Failed to log security incident:', error);
+  }
+};
@@ -0,0 +1,79 @@
+// Step-up re-authentication for sensitive account changes
+// A signed-in user proves it's really them again with either their current password (plus a
+// second factor when 2FA is on) or a fresh passkey assertion for a "stepup" challenge.
+// verifyStepUp checks a proof sent along with a change; verifyReauthentication backs
+// POST /auth/reauthenticate, which refreshes the session's auth_time instead.
+import bcrypt from 'bcryptjs';
+import { database } from '../config/database.js';
+import { verifySecondFactor } from './twoFactor.js';
+import { consumeChallenge, verifyAuthenticationResponse } from './webauthn.js';
+
+const verifyPasskeyProof = async (user, credential) => {
+  const challenge = await consumeChallenge(credential.response?.clientDataJSON, 'stepup', user.id);
+  if (!challenge) {
+    return false;
+  }
+
+  const storedCredential = await database.get(`
+    SELECT id, public_key_jwk, sign_count
+    FROM webauthn_credentials WHERE credential_id = ? AND user_id = ?
+  `, [credential.id, user.id]);
+
+  if (!storedCredential) {
+    return false;
+  }
+
+  let signCount;
+  try {
+    signCount = verifyAuthenticationResponse(credential, challenge, storedCredential);
+  } catch (error) {
+    console.warn('Step-up passkey assertion rejected:', error.message, { userId: user.id });
+    return false;
+  }
+
+  // Same conditional counter update as passkey sign-in
+  const result = await database.run(`
+    UPDATE webauthn_credentials
+    SET sign_count = ?, last_used = CURRENT_TIMESTAMP
+    WHERE id = ? AND sign_count = ?
+  `, [signCount, storedCredential.id, storedCredential.sign_count]);
+
+  return result.changes === 1;
+};
+
+// Check a step-up proof ({ currentPassword, code, recoveryCode } or { credential }) for a user
+// row that includes password_hash, totp_enabled and totp_secret
+export const verifyStepUp = async (user, { currentPassword, code, recoveryCode, credential } = {}) => {
+  if (credential) {
+    return verifyPasskeyProof(user, credential);
+  }
+
+  if (!currentPassword || !await bcrypt.compare(currentPassword, user.password_hash)) {
+    return false;
+  }
+
+  if (user.totp_enabled) {
+    return verifySecondFactor(user, { code, recoveryCode });
+  }
+
+  return true;
+};
+
+// Check a re-authentication ({ password }, { code } / { recoveryCode } or { credential }) and
+// return the acr it earns, or null. Users with 2FA must use their second factor or a passkey;
+// their password alone doesn't count.
+export const verifyReauthentication = async (user, { password, code, recoveryCode, credential } = {}) => {
+  if (credential) {
+    return await verifyPasskeyProof(user, credential) ? 'aal2' : null;
+  }
+
+  if (user.totp_enabled) {
+    return await verifySecondFactor(user, { code, recoveryCode }) ? 'aal2' : null;
+  }
+
+  if (password && await bcrypt.compare(password, user.password_hash)) {
+    return 'aal1';
+  }
+
+  return null;
+};
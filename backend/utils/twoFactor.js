@@ -0,0 +1,200 @@
+// TOTP two-factor authentication (RFC 6238) and one-time recovery codes.
+// Secrets are encrypted at rest; recovery codes are only stored as hashes.
+import crypto from 'crypto';
+import { database } from '../config/database.js';
+import { encryptAtRest, decryptAtRest } from './crypto.js';
+
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept codes one step either side for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// HOTP value (RFC 4226) for one counter step
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return code.toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Key for encrypting TOTP secrets at rest
+const getSecretKey = () => process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+const encryptSecret = (secret) => encryptAtRest(secret, getSecretKey());
+
+const decryptSecret = (stored) => decryptAtRest(stored, getSecretKey());
+
+// Generate a new 160-bit TOTP secret (base32, as authenticator apps expect)
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Provisioning URI for QR codes (otpauth://totp/...)
+export const buildOtpauthUrl = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || 'Prevent Scraping';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Find the time step a code belongs to, or null if it doesn't match
+export const matchTotpCode = (secret, code) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = generateHotp(secret, currentStep + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+// Store a new, not yet confirmed secret for the user
+export const startTotpEnrollment = async (userId) => {
+  const secret = generateTotpSecret();
+
+  await database.run(`
+    UPDATE users SET totp_secret = ?, totp_enabled = FALSE, totp_last_step = NULL
+    WHERE id = ?
+  `, [encryptSecret(secret), userId]);
+
+  return secret;
+};
+
+// Check a TOTP code against the user's secret. Each time step can only be used once.
+export const verifyTotpCode = async (user, code) => {
+  if (!user.totp_secret) {
+    return false;
+  }
+
+  const step = matchTotpCode(decryptSecret(user.totp_secret), code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await database.run(`
+    UPDATE users SET totp_last_step = ?
+    WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+  `, [step, user.id, step]);
+
+  return result.changes === 1;
+};
+
+const hashRecoveryCode = (code) => {
+  const normalized = code.replace(/[\s-]/g, '').toUpperCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Replace the user's recovery codes and return the new plaintext codes (shown once)
+export const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const value = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${value.slice(0, 5)}-${value.slice(5)}`;
+  });
+
+  await database.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+  for (const code of codes) {
+    await database.run(`
+      INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)
+    `, [userId, hashRecoveryCode(code)]);
+  }
+
+  return codes;
+};
+
+// Use up a recovery code; false if it doesn't exist or was already used
+export const consumeRecoveryCode = async (userId, code) => {
+  if (typeof code !== 'string' || !code.trim()) {
+    return false;
+  }
+
+  const result = await database.run(`
+    UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `, [userId, hashRecoveryCode(code)]);
+
+  return result.changes === 1;
+};
+
+export const countRecoveryCodes = async (userId) => {
+  const row = await database.get(`
+    SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL
+  `, [userId]);
+
+  return row.count;
+};
+
+// Second factor check shared by login and sensitive 2FA changes
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return verifyTotpCode(user, code);
+  }
+  if (recoveryCode) {
+    return consumeRecoveryCode(user.id, recoveryCode);
+  }
+  return false;
+};
+
+export const disableTotp = async (userId) => {
+  await database.run(`
+    UPDATE users SET totp_secret = NULL, totp_enabled = FALSE, totp_last_step = NULL
+    WHERE id = ?
+  `, [userId]);
+  await database.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+};
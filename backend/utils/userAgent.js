@@ -0,0 +1,41 @@
+// Short, human-readable summary of a User-Agent string for session lists ("Chrome 120 on macOS")
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome also claims to be Safari.
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+  ['Opera', /(?:OPR|Opera)\/(\d+)/],
+  ['Samsung Internet', /SamsungBrowser\/(\d+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+  ['Safari', /Version\/(\d+)[\d.]* .*Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+export const summarizeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  let browser = null;
+  for (const [name, pattern] of BROWSERS) {
+    const match = userAgent.match(pattern);
+    if (match) {
+      browser = `${name} ${match[1]}`;
+      break;
+    }
+  }
+
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+  return browser || os || 'Unknown device';
+};
@@ -0,0 +1,273 @@
+// WebAuthn (passkey) registration and assertion verification.
+// Only the "none" attestation format is accepted: we trust the credential's key because the
+// user registered it from an authenticated session, not because of who made the authenticator.
+import crypto from 'crypto';
+import { database } from '../config/database.js';
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Flags in authenticator data
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+// COSE algorithm identifiers we accept: ES256, EdDSA, RS256
+export const SUPPORTED_COSE_ALGS = [-7, -8, -257];
+
+export const getRelyingParty = () => {
+  const origins = (process.env.WEBAUTHN_ORIGIN || 'http://localhost:5173')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  return {
+    id: process.env.WEBAUTHN_RP_ID || new URL(origins[0]).hostname,
+    name: process.env.WEBAUTHN_RP_NAME || 'Prevent Scraping',
+    origins
+  };
+};
+
+// Minimal CBOR decoder (RFC 8949), enough for attestation objects and COSE keys
+const decodeCbor = (buffer) => {
+  let offset = 0;
+
+  const readLength = (info) => {
+    if (info < 24) return info;
+    if (info === 24) return buffer.readUInt8(offset++);
+    if (info === 25) { const v = buffer.readUInt16BE(offset); offset += 2; return v; }
+    if (info === 26) { const v = buffer.readUInt32BE(offset); offset += 4; return v; }
+    if (info === 27) { const v = Number(buffer.readBigUInt64BE(offset)); offset += 8; return v; }
+    throw new Error('Unsupported CBOR length');
+  };
+
+  const readItem = () => {
+    const initial = buffer.readUInt8(offset++);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0:
+        return readLength(info);
+      case 1:
+        return -1 - readLength(info);
+      case 2: {
+        const length = readLength(info);
+        const value = buffer.subarray(offset, offset + length);
+        offset += length;
+        return value;
+      }
+      case 3: {
+        const length = readLength(info);
+        const value = buffer.toString('utf8', offset, offset + length);
+        offset += length;
+        return value;
+      }
+      case 4: {
+        const length = readLength(info);
+        return Array.from({ length }, readItem);
+      }
+      case 5: {
+        const length = readLength(info);
+        const map = new Map();
+        for (let i = 0; i < length; i++) {
+          const key = readItem();
+          map.set(key, readItem());
+        }
+        return map;
+      }
+      case 7:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        throw new Error('Unsupported CBOR simple value');
+      default:
+        throw new Error('Unsupported CBOR type');
+    }
+  };
+
+  const value = readItem();
+  return { value, length: offset };
+};
+
+// Convert a COSE_Key to a JWK
+const coseToJwk = (coseKey) => {
+  const kty = coseKey.get(1);
+  const alg = coseKey.get(3);
+
+  if (!SUPPORTED_COSE_ALGS.includes(alg)) {
+    throw new Error('Unsupported credential algorithm');
+  }
+
+  if (kty === 2 && coseKey.get(-1) === 1) {
+    return {
+      kty: 'EC',
+      crv: 'P-256',
+      x: coseKey.get(-2).toString('base64url'),
+      y: coseKey.get(-3).toString('base64url'),
+      alg: 'ES256'
+    };
+  }
+  if (kty === 1 && coseKey.get(-1) === 6) {
+    return { kty: 'OKP', crv: 'Ed25519', x: coseKey.get(-2).toString('base64url'), alg: 'EdDSA' };
+  }
+  if (kty === 3) {
+    return {
+      kty: 'RSA',
+      n: coseKey.get(-1).toString('base64url'),
+      e: coseKey.get(-2).toString('base64url'),
+      alg: 'RS256'
+    };
+  }
+
+  throw new Error('Unsupported credential key type');
+};
+
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data too short');
+  }
+
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (parsed.flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    const credentialIdLength = authData.readUInt16BE(53);
+    const credentialId = authData.subarray(55, 55 + credentialIdLength);
+    const { value: coseKey } = decodeCbor(authData.subarray(55 + credentialIdLength));
+
+    parsed.credentialId = credentialId.toString('base64url');
+    parsed.publicKeyJwk = coseToJwk(coseKey);
+  }
+
+  return parsed;
+};
+
+// Checks shared by registration and assertion
+const verifyClientData = (clientDataJSON, expectedType, challenge) => {
+  const clientData = JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8'));
+
+  if (clientData.type !== expectedType) {
+    throw new Error('Unexpected client data type');
+  }
+  if (clientData.challenge !== challenge) {
+    throw new Error('Challenge mismatch');
+  }
+  if (!getRelyingParty().origins.includes(clientData.origin)) {
+    throw new Error('Origin not allowed');
+  }
+};
+
+const verifyAuthenticatorFlags = (authData) => {
+  const expectedRpIdHash = crypto.createHash('sha256').update(getRelyingParty().id).digest();
+
+  if (!crypto.timingSafeEqual(authData.rpIdHash, expectedRpIdHash)) {
+    throw new Error('RP ID mismatch');
+  }
+  if (!(authData.flags & FLAG_USER_PRESENT) || !(authData.flags & FLAG_USER_VERIFIED)) {
+    throw new Error('User verification required');
+  }
+};
+
+// Store a single-use challenge; userId is set for registration ceremonies
+export const createChallenge = async (type, userId = null) => {
+  const challenge = crypto.randomBytes(32).toString('base64url');
+
+  await database.run(`
+    INSERT INTO webauthn_challenges (challenge, user_id, type, expires_at)
+    VALUES (?, ?, ?, ?)
+  `, [challenge, userId, type, new Date(Date.now() + CHALLENGE_TTL_MS)]);
+
+  return challenge;
+};
+
+// Use up a challenge taken from the response's client data
+export const consumeChallenge = async (clientDataJSON, type, userId = null) => {
+  let challenge;
+  try {
+    challenge = JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8')).challenge;
+  } catch (error) {
+    return null;
+  }
+
+  const result = await database.run(`
+    DELETE FROM webauthn_challenges
+    WHERE challenge = ? AND type = ? AND expires_at > NOW() AND user_id <=> ?
+  `, [challenge, type, userId]);
+
+  return result.changes === 1 ? challenge : null;
+};
+
+export const cleanupWebAuthnChallenges = async () => {
+  await database.run('DELETE FROM webauthn_challenges WHERE expires_at < NOW()');
+};
+
+// Verify navigator.credentials.create() output. Returns the credential to store.
+export const verifyRegistrationResponse = (credential, challenge) => {
+  const { clientDataJSON, attestationObject } = credential.response;
+  verifyClientData(clientDataJSON, 'webauthn.create', challenge);
+
+  const { value: attestation } = decodeCbor(Buffer.from(attestationObject, 'base64url'));
+  if (attestation.get('fmt') !== 'none') {
+    throw new Error('Unsupported attestation format');
+  }
+
+  const authData = parseAuthenticatorData(attestation.get('authData'));
+  verifyAuthenticatorFlags(authData);
+
+  if (!authData.credentialId || authData.credentialId !== credential.id) {
+    throw new Error('Credential ID mismatch');
+  }
+
+  return {
+    credentialId: authData.credentialId,
+    publicKeyJwk: authData.publicKeyJwk,
+    signCount: authData.signCount
+  };
+};
+
+// Verify navigator.credentials.get() output against a stored credential.
+// Returns the new signature counter.
+export const verifyAuthenticationResponse = (credential, challenge, storedCredential) => {
+  const { clientDataJSON, authenticatorData, signature } = credential.response;
+  verifyClientData(clientDataJSON, 'webauthn.get', challenge);
+
+  const authDataBuffer = Buffer.from(authenticatorData, 'base64url');
+  const authData = parseAuthenticatorData(authDataBuffer);
+  verifyAuthenticatorFlags(authData);
+
+  const publicKeyJwk = JSON.parse(storedCredential.public_key_jwk);
+  const signedData = Buffer.concat([
+    authDataBuffer,
+    crypto.createHash('sha256').update(Buffer.from(clientDataJSON, 'base64url')).digest()
+  ]);
+  const digest = publicKeyJwk.alg === 'EdDSA' ? null : 'sha256';
+  const { alg, ...jwk } = publicKeyJwk;
+
+  const valid = crypto.verify(
+    digest,
+    signedData,
+    crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    Buffer.from(signature, 'base64url')
+  );
+  if (!valid) {
+    throw new Error('Invalid signature');
+  }
+
+  // A counter that doesn't move forward means the authenticator may have been cloned.
+  // Authenticators that don't implement counters always report 0.
+  const storedCount = Number(storedCredential.sign_count);
+  if ((authData.signCount !== 0 || storedCount !== 0) && authData.signCount <= storedCount) {
+    throw new Error('Signature counter did not increase');
+  }
+
+  return authData.signCount;
+};
+
+setInterval(() => {
+  cleanupWebAuthnChallenges().catch((error) => {
+    console.error('WebAuthn challenge cleanup failed:', error);
+  });
+}, 5 * 60 * 1000).unref(); // Clean every 5 minutes
@@ -2,10 +2,20 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import ProtectedRoute from './components/common/ProtectedRoute';
+import HoneypotLinks from './components/common/HoneypotLinks';
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import VerifyEmail from './components/auth/VerifyEmail';
+import ConfirmEmailChange from './components/auth/ConfirmEmailChange';
 import Dashboard from './components/dashboard/Dashboard';
 import PostsList from './components/posts/PostsList';
+import SecuritySettings from './components/settings/SecuritySettings';
+import Sessions from './components/settings/Sessions';
+import Activity from './components/settings/Activity';
+import AccountSettings from './components/settings/AccountSettings';
+import AdminUsers from './components/admin/AdminUsers';
 import './App.css';
 
 // Import anti-scraping protection (initializes automatically)
@@ -31,6 +41,7 @@ function App() {
     <AuthProvider>
       <Router>
         <div className="App">
+          <HoneypotLinks />
           <Routes>
             {/* Root route - redirect based on auth status */}
             <Route path="/" element={<RootRedirect />} />
@@ -38,6 +49,10 @@ function App() {
             {/* Public routes */}
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/confirm-email-change" element={<ConfirmEmailChange />} />
 
             {/* Protected routes */}
             <Route
@@ -57,6 +72,51 @@ function App() {
               }
             />
 
+            <Route
+              path="/settings/security"
+              element={
+                <ProtectedRoute>
+                  <SecuritySettings />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/settings/sessions"
+              element={
+                <ProtectedRoute>
+                  <Sessions />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/settings/activity"
+              element={
+                <ProtectedRoute>
+                  <Activity />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/settings/account"
+              element={
+                <ProtectedRoute>
+                  <AccountSettings />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/admin/users"
+              element={
+                <ProtectedRoute>
+                  <AdminUsers />
+                </ProtectedRoute>
+              }
+            />
+
             {/* Catch all route */}
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
@@ -0,0 +1,295 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../../contexts/AuthContext';
+import { adminAPI, apiUtils } from '../../utils/api';
+import {
+  ArrowLeftIcon,
+  UsersIcon,
+  MagnifyingGlassIcon,
+  LockOpenIcon,
+  NoSymbolIcon,
+  CheckCircleIcon,
+  EyeIcon
+} from '@heroicons/react/24/outline';
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All users' },
+  { value: 'active', label: 'Active' },
+  { value: 'suspended', label: 'Suspended' },
+  { value: 'locked', label: 'Locked out' }
+];
+
+const AdminUsers = () => {
+  const navigate = useNavigate();
+  const { user: currentUser, impersonate } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filters, setFilters] = useState({ search: '', status: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const permissions = currentUser?.permissions || [];
+
+  useEffect(() => {
+    const loadUsers = async () => {
+      try {
+        setLoading(true);
+        const response = await adminAPI.getUsers({
+          page: currentPage,
+          limit: 20,
+          ...(filters.search && { search: filters.search }),
+          ...(filters.status && { status: filters.status })
+        });
+        setUsers(response.users);
+        setPagination(response.pagination);
+      } catch (error) {
+        setError(apiUtils.handleError(error).message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadUsers();
+  }, [currentPage, filters]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    setFilters(prev => ({ ...prev, search: searchTerm.trim() }));
+  };
+
+  const handleStatusChange = (status) => {
+    setCurrentPage(1);
+    setFilters(prev => ({ ...prev, status }));
+  };
+
+  // Run an action on one user and swap in the updated row
+  const runAction = async (action, confirmText) => {
+    if (isSubmitting || (confirmText && !window.confirm(confirmText))) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await action();
+      setUsers(prev => prev.map(user => (user.id === response.user.id ? response.user : user)));
+      setMessage(response.message);
+    } catch (error) {
+      setError(apiUtils.handleError(error).message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleImpersonate = async (user) => {
+    const reason = window.prompt(`Why are you impersonating ${user.username}? This is recorded in the audit log.`);
+    if (reason === null || isSubmitting) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    setMessage(null);
+
+    const result = await impersonate(user.id, reason.trim() || undefined);
+    if (result.success) {
+      navigate('/dashboard');
+    } else {
+      setError(result.error.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-secondary-50 via-white to-primary-50">
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-sm shadow-soft border-b border-white/20">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center py-6">
+            <button
+              onClick={() => navigate('/dashboard')}
+              className="mr-4 p-2 text-secondary-400 hover:text-secondary-600"
+            >
+              <ArrowLeftIcon className="h-5 w-5" />
+            </button>
+            <h1 className="text-3xl font-bold gradient-text flex items-center gap-3">
+              <UsersIcon className="h-8 w-8 text-primary-600" />
+              User Administration
+            </h1>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0 space-y-6">
+          {error && (
+            <div className="rounded-lg bg-danger-50 border border-danger-200 p-4">
+              <div className="text-sm text-danger-700 font-medium">{error}</div>
+            </div>
+          )}
+
+          {message && (
+            <div className="rounded-lg bg-success-50 border border-success-200 p-4">
+              <div className="text-sm text-success-700 font-medium">{message}</div>
+            </div>
+          )}
+
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+            className="card-elevated p-8"
+          >
+            <form onSubmit={handleSearch} className="flex flex-wrap gap-3">
+              <div className="flex-1 min-w-[12rem] relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <MagnifyingGlassIcon className="h-5 w-5 text-secondary-400" />
+                </div>
+                <input
+                  type="text"
+                  placeholder="Search by username or email..."
+                  className="input-field pl-10"
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+              </div>
+              <select
+                className="input-field w-auto"
+                value={filters.status}
+                onChange={(e) => handleStatusChange(e.target.value)}
+              >
+                {STATUS_FILTERS.map(filter => (
+                  <option key={filter.value} value={filter.value}>{filter.label}</option>
+                ))}
+              </select>
+              <button type="submit" className="btn-primary">
+                Search
+              </button>
+            </form>
+
+            {loading ? (
+              <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+              </div>
+            ) : users.length === 0 ? (
+              <p className="mt-6 text-sm text-secondary-500">No users found.</p>
+            ) : (
+              <ul className="mt-6 divide-y divide-secondary-100">
+                {users.map((user) => (
+                  <li key={user.id} className="flex flex-wrap items-center justify-between gap-3 py-3">
+                    <div>
+                      <p className="text-sm font-medium text-secondary-900 flex flex-wrap items-center gap-2">
+                        {user.username}
+                        {user.roles.map(role => (
+                          <span key={role} className="security-badge">{role}</span>
+                        ))}
+                        {!user.isActive && (
+                          <span className="rounded-full bg-danger-50 px-2 py-0.5 text-xs font-medium text-danger-700">
+                            Suspended
+                          </span>
+                        )}
+                        {user.locked && (
+                          <span className="rounded-full bg-warning-50 px-2 py-0.5 text-xs font-medium text-warning-800">
+                            Locked until {new Date(user.lockedUntil).toLocaleTimeString()}
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-secondary-500">
+                        {user.email}
+                        {!user.emailVerified && ' (unverified)'}
+                        {' · '}Joined {new Date(user.createdAt).toLocaleDateString()}
+                        {user.twoFactorEnabled && ' · 2FA'}
+                      </p>
+                    </div>
+                    <div className="flex gap-2">
+                      {permissions.includes('users:impersonate') && user.isActive && user.roles.length === 0 &&
+                        user.id !== currentUser?.id && (
+                        <button
+                          onClick={() => handleImpersonate(user)}
+                          disabled={isSubmitting}
+                          className="btn-secondary flex items-center gap-2 text-sm disabled:opacity-50"
+                        >
+                          <EyeIcon className="h-4 w-4" />
+                          Impersonate
+                        </button>
+                      )}
+                      {user.locked && permissions.includes('users:unlock') && (
+                        <button
+                          onClick={() => runAction(() => adminAPI.unlockUser(user.id))}
+                          disabled={isSubmitting}
+                          className="btn-secondary flex items-center gap-2 text-sm disabled:opacity-50"
+                        >
+                          <LockOpenIcon className="h-4 w-4" />
+                          Unlock
+                        </button>
+                      )}
+                      {permissions.includes('users:suspend') && user.id !== currentUser?.id && (
+                        user.isActive ? (
+                          <button
+                            onClick={() => runAction(
+                              () => adminAPI.suspendUser(user.id),
+                              `Suspend ${user.username}? All of their devices will be signed out.`
+                            )}
+                            disabled={isSubmitting}
+                            className="btn-secondary flex items-center gap-2 text-sm text-danger-600 disabled:opacity-50"
+                          >
+                            <NoSymbolIcon className="h-4 w-4" />
+                            Suspend
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => runAction(() => adminAPI.reactivateUser(user.id))}
+                            disabled={isSubmitting}
+                            className="btn-secondary flex items-center gap-2 text-sm disabled:opacity-50"
+                          >
+                            <CheckCircleIcon className="h-4 w-4" />
+                            Reactivate
+                          </button>
+                        )
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {/* Pagination */}
+            {pagination && pagination.pages > 1 && (
+              <div className="mt-6 flex items-center justify-between">
+                <div className="text-sm text-secondary-600">
+                  Page {pagination.page} of {pagination.pages} ({pagination.total} users)
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setCurrentPage(currentPage - 1)}
+                    disabled={currentPage === 1}
+                    className="btn-secondary text-sm disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setCurrentPage(currentPage + 1)}
+                    disabled={currentPage === pagination.pages}
+                    className="btn-secondary text-sm disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </motion.div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default AdminUsers;
@@ -0,0 +1,96 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../../contexts/AuthContext';
+import { accountAPI, apiUtils } from '../../utils/api';
+import { CheckCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+const ConfirmEmailChange = () => {
+  const { isAuthenticated, refreshProfile } = useAuth();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'confirming' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This confirmation link is incomplete.');
+  const requested = useRef(false);
+  const profileRefreshed = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so don't send it twice under StrictMode
+    if (!token || requested.current) {
+      return;
+    }
+    requested.current = true;
+
+    accountAPI.confirmEmailChange(token)
+      .then((response) => {
+        setStatus('confirmed');
+        setMessage(response.message);
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(apiUtils.handleError(error).message);
+      });
+  }, [token]);
+
+  // Show the new address right away if this browser is signed in
+  useEffect(() => {
+    if (status === 'confirmed' && isAuthenticated && !profileRefreshed.current) {
+      profileRefreshed.current = true;
+      refreshProfile().catch(() => {});
+    }
+  }, [status, isAuthenticated, refreshProfile]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 via-white to-secondary-50 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6 }}
+        className="max-w-md w-full space-y-8"
+      >
+        <div className="text-center">
+          <h2 className="text-3xl font-bold gradient-text mb-2">
+            Email change
+          </h2>
+        </div>
+
+        <div className="card-elevated p-8">
+          {status === 'confirming' && (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          )}
+
+          {status === 'confirmed' && (
+            <div className="rounded-lg bg-success-50 border border-success-200 p-4 flex items-center gap-3">
+              <CheckCircleIcon className="h-5 w-5 text-success-600 flex-shrink-0" />
+              <div className="text-sm text-success-700 font-medium">{message}</div>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="rounded-lg bg-danger-50 border border-danger-200 p-4 flex items-center gap-3">
+              <ExclamationTriangleIcon className="h-5 w-5 text-danger-600 flex-shrink-0" />
+              <div className="text-sm text-danger-700 font-medium">
+                {message} You can start the change again from your account settings.
+              </div>
+            </div>
+          )}
+
+          {status !== 'confirming' && (
+            <div className="mt-6 text-center">
+              <Link
+                to={isAuthenticated ? '/dashboard' : '/login'}
+                className="font-semibold text-primary-600 hover:text-primary-700 transition-colors"
+              >
+                {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+              </Link>
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ConfirmEmailChange;
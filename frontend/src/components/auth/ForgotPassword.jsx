@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { authAPI, apiUtils } from '../../utils/api';
+import { EnvelopeIcon, ArrowLeftIcon } from '@heroicons/react/24/outline';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) {
+      return;
+    }
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setMessage(response.message);
+    } catch (error) {
+      setError(apiUtils.handleError(error).message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 via-white to-secondary-50 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6 }}
+        className="max-w-md w-full space-y-8"
+      >
+        <div className="text-center">
+          <h2 className="text-3xl font-bold gradient-text mb-2">
+            Forgot your password?
+          </h2>
+          <p className="text-secondary-600">
+            Enter your email and we&apos;ll send you a link to choose a new one.
+          </p>
+        </div>
+
+        <div className="card-elevated p-8">
+          {message ? (
+            <div className="rounded-lg bg-success-50 border border-success-200 p-4">
+              <div className="text-sm text-success-700 font-medium">{message}</div>
+            </div>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-secondary-700 mb-2">
+                  Email address
+                </label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  className={`input-field ${error ? 'input-error' : ''}`}
+                  placeholder="Enter your email address"
+                  value={email}
+                  onChange={(e) => {
+                    setEmail(e.target.value);
+                    setError('');
+                  }}
+                  disabled={isSubmitting}
+                />
+                {error && (
+                  <p className="mt-2 text-sm text-danger-600">{error}</p>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="btn-primary w-full flex justify-center items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <EnvelopeIcon className="h-4 w-4" />
+                {isSubmitting ? 'Sending...' : 'Send reset link'}
+              </button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link
+              to="/login"
+              className="inline-flex items-center gap-1 font-semibold text-primary-600 hover:text-primary-700 transition-colors"
+            >
+              <ArrowLeftIcon className="h-4 w-4" />
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
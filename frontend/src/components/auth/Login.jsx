@@ -2,16 +2,19 @@ import { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../../contexts/AuthContext';
+import { isPasskeySupported } from '../../utils/webauthn';
 import {
   EyeIcon,
   EyeSlashIcon,
   ShieldCheckIcon,
   DevicePhoneMobileIcon,
-  LockClosedIcon
+  LockClosedIcon,
+  KeyIcon,
+  FingerPrintIcon
 } from '@heroicons/react/24/outline';
 
 const Login = () => {
-  const { login, isLoading, error, isAuthenticated } = useAuth();
+  const { login, loginWithPasskey, verifyTwoFactor, cancelTwoFactor, isLoading, error, isAuthenticated } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [formData, setFormData] = useState({
@@ -22,6 +25,14 @@ const Login = () => {
   const [validationErrors, setValidationErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
+  const [twoFactorStep, setTwoFactorStep] = useState(false);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [passkeyAvailable, setPasskeyAvailable] = useState(false);
+
+  useEffect(() => {
+    isPasskeySupported().then(setPasskeyAvailable);
+  }, []);
 
   // Handle registration success message and pre-fill email
   useEffect(() => {
@@ -96,6 +107,11 @@ const Login = () => {
 
       const result = await login(formData);
 
+      if (result.twoFactorRequired) {
+        setTwoFactorStep(true);
+        return;
+      }
+
       if (!result.success) {
         // Handle specific error types
         if (result.error.type === 'validation') {
@@ -110,6 +126,68 @@ const Login = () => {
     }
   };
 
+  const handlePasskeyLogin = async () => {
+    if (isSubmitting || isLoading) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setValidationErrors({});
+
+    try {
+      const result = await loginWithPasskey();
+
+      if (!result.success) {
+        setValidationErrors({
+          general: result.error.type === 'auth' ? 'Passkey not recognised' : result.error.message
+        });
+      }
+      // Navigation will be handled by the useEffect hook when isAuthenticated changes
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) {
+      return;
+    }
+
+    if (!twoFactorCode.trim()) {
+      setValidationErrors({ twoFactorCode: 'Code is required' });
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const result = await verifyTwoFactor(
+        useRecoveryCode ? { recoveryCode: twoFactorCode.trim() } : { code: twoFactorCode.trim() }
+      );
+
+      if (!result.success) {
+        setTwoFactorCode('');
+        setValidationErrors({
+          general: result.error.type === 'auth' ? 'Invalid verification code' : result.error.message
+        });
+      }
+      // Navigation will be handled by the useEffect hook when isAuthenticated changes
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancelTwoFactor = async () => {
+    await cancelTwoFactor();
+    setTwoFactorStep(false);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setValidationErrors({});
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 via-white to-secondary-50 py-12 px-4 sm:px-6 lg:px-8">
       <motion.div
@@ -149,132 +227,247 @@ const Login = () => {
           transition={{ duration: 0.6, delay: 0.3 }}
           className="card-elevated p-8"
         >
-          <form className="space-y-6" onSubmit={handleSubmit}>
-            <div className="space-y-4">
+          {twoFactorStep ? (
+            <form className="space-y-6" onSubmit={handleTwoFactorSubmit}>
               <div>
-                <label htmlFor="email" className="block text-sm font-medium text-secondary-700 mb-2">
-                  Email address
+                <label htmlFor="twoFactorCode" className="block text-sm font-medium text-secondary-700 mb-2">
+                  {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
                 </label>
                 <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  required
-                  className={`input-field ${validationErrors.email ? 'input-error' : ''}`}
-                  placeholder="Enter your email address"
-                  value={formData.email}
-                  onChange={handleChange}
-                  disabled={isLoading}
+                  id="twoFactorCode"
+                  name="twoFactorCode"
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  className={`input-field tracking-widest ${validationErrors.twoFactorCode ? 'input-error' : ''}`}
+                  placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : '123456'}
+                  value={twoFactorCode}
+                  onChange={(e) => {
+                    setTwoFactorCode(e.target.value);
+                    setValidationErrors({});
+                  }}
+                  disabled={isSubmitting}
                 />
-                {validationErrors.email && (
+                <p className="mt-2 text-sm text-secondary-500">
+                  {useRecoveryCode
+                    ? 'Enter one of the recovery codes you saved when enabling two-factor authentication.'
+                    : 'Enter the 6-digit code from your authenticator app.'}
+                </p>
+                {validationErrors.twoFactorCode && (
                   <motion.p
                     initial={{ opacity: 0, y: -10 }}
                     animate={{ opacity: 1, y: 0 }}
                     className="mt-2 text-sm text-danger-600"
                   >
-                    {validationErrors.email}
+                    {validationErrors.twoFactorCode}
                   </motion.p>
                 )}
               </div>
 
-              <div>
-                <label htmlFor="password" className="block text-sm font-medium text-secondary-700 mb-2">
-                  Password
-                </label>
-                <div className="relative">
+              {validationErrors.general && (
+                <motion.div
+                  initial={{ opacity: 0, scale: 0.95 }}
+                  animate={{ opacity: 1, scale: 1 }}
+                  className="rounded-lg bg-danger-50 border border-danger-200 p-4"
+                >
+                  <div className="text-sm text-danger-700 font-medium">
+                    {validationErrors.general}
+                  </div>
+                </motion.div>
+              )}
+
+              <motion.button
+                type="submit"
+                disabled={isSubmitting}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="btn-primary w-full flex justify-center items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+              >
+                {isSubmitting ? (
+                  <>
+                    <div className="spinner"></div>
+                    Verifying...
+                  </>
+                ) : (
+                  <>
+                    <KeyIcon className="h-4 w-4" />
+                    Verify
+                  </>
+                )}
+              </motion.button>
+
+              <div className="flex justify-between text-sm">
+                <button
+                  type="button"
+                  className="font-semibold text-primary-600 hover:text-primary-700 transition-colors"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setTwoFactorCode('');
+                    setValidationErrors({});
+                  }}
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  className="text-secondary-600 hover:text-secondary-800 transition-colors"
+                  onClick={handleCancelTwoFactor}
+                >
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-secondary-700 mb-2">
+                    Email address
+                  </label>
                   <input
-                    id="password"
-                    name="password"
-                    type={showPassword ? 'text' : 'password'}
-                    autoComplete="current-password"
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
                     required
-                    className={`input-field pr-12 ${validationErrors.password ? 'input-error' : ''}`}
-                    placeholder="Enter your password"
-                    value={formData.password}
+                    className={`input-field ${validationErrors.email ? 'input-error' : ''}`}
+                    placeholder="Enter your email address"
+                    value={formData.email}
                     onChange={handleChange}
                     disabled={isLoading}
                   />
-                  <button
-                    type="button"
-                    className="absolute inset-y-0 right-0 pr-4 flex items-center text-secondary-400 hover:text-secondary-600 transition-colors"
-                    onClick={() => setShowPassword(!showPassword)}
-                  >
-                    {showPassword ? (
-                      <EyeSlashIcon className="h-5 w-5" />
-                    ) : (
-                      <EyeIcon className="h-5 w-5" />
-                    )}
-                  </button>
+                  {validationErrors.email && (
+                    <motion.p
+                      initial={{ opacity: 0, y: -10 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      className="mt-2 text-sm text-danger-600"
+                    >
+                      {validationErrors.email}
+                    </motion.p>
+                  )}
                 </div>
-                {validationErrors.password && (
-                  <motion.p
-                    initial={{ opacity: 0, y: -10 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    className="mt-2 text-sm text-danger-600"
-                  >
-                    {validationErrors.password}
-                  </motion.p>
-                )}
-              </div>
-            </div>
 
-            {successMessage && (
-              <motion.div
-                initial={{ opacity: 0, scale: 0.95 }}
-                animate={{ opacity: 1, scale: 1 }}
-                className="rounded-lg bg-success-50 border border-success-200 p-4"
-              >
-                <div className="text-sm text-success-700 font-medium">
-                  {successMessage}
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-secondary-700 mb-2">
+                    Password
+                  </label>
+                  <div className="relative">
+                    <input
+                      id="password"
+                      name="password"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="current-password"
+                      required
+                      className={`input-field pr-12 ${validationErrors.password ? 'input-error' : ''}`}
+                      placeholder="Enter your password"
+                      value={formData.password}
+                      onChange={handleChange}
+                      disabled={isLoading}
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-4 flex items-center text-secondary-400 hover:text-secondary-600 transition-colors"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeSlashIcon className="h-5 w-5" />
+                      ) : (
+                        <EyeIcon className="h-5 w-5" />
+                      )}
+                    </button>
+                  </div>
+                  {validationErrors.password && (
+                    <motion.p
+                      initial={{ opacity: 0, y: -10 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      className="mt-2 text-sm text-danger-600"
+                    >
+                      {validationErrors.password}
+                    </motion.p>
+                  )}
+                  <div className="mt-2 text-right">
+                    <Link
+                      to="/forgot-password"
+                      className="text-sm font-medium text-primary-600 hover:text-primary-700 transition-colors"
+                    >
+                      Forgot password?
+                    </Link>
+                  </div>
                 </div>
-              </motion.div>
-            )}
-
-            {(error || validationErrors.general) && (
-              <motion.div
-                initial={{ opacity: 0, scale: 0.95 }}
-                animate={{ opacity: 1, scale: 1 }}
-                className="rounded-lg bg-danger-50 border border-danger-200 p-4"
-              >
-                <div className="text-sm text-danger-700 font-medium">
-                  {error || validationErrors.general}
-                </div>
-              </motion.div>
-            )}
-
-            <motion.button
-              type="submit"
-              disabled={isLoading}
-              whileHover={{ scale: 1.02 }}
-              whileTap={{ scale: 0.98 }}
-              className="btn-primary w-full flex justify-center items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
-            >
-              {isLoading ? (
-                <>
-                  <div className="spinner"></div>
-                  Signing in...
-                </>
-              ) : (
-                <>
-                  <LockClosedIcon className="h-4 w-4" />
-                  Sign in
-                </>
+              </div>
+
+              {successMessage && (
+                <motion.div
+                  initial={{ opacity: 0, scale: 0.95 }}
+                  animate={{ opacity: 1, scale: 1 }}
+                  className="rounded-lg bg-success-50 border border-success-200 p-4"
+                >
+                  <div className="text-sm text-success-700 font-medium">
+                    {successMessage}
+                  </div>
+                </motion.div>
               )}
-            </motion.button>
 
-            <div className="text-center">
-              <span className="text-secondary-600">
-                Don't have an account?{' '}
-                <Link
-                  to="/register"
-                  className="font-semibold text-primary-600 hover:text-primary-700 transition-colors"
+              {(error || validationErrors.general) && (
+                <motion.div
+                  initial={{ opacity: 0, scale: 0.95 }}
+                  animate={{ opacity: 1, scale: 1 }}
+                  className="rounded-lg bg-danger-50 border border-danger-200 p-4"
                 >
-                  Sign up
-                </Link>
-              </span>
-            </div>
-          </form>
+                  <div className="text-sm text-danger-700 font-medium">
+                    {error || validationErrors.general}
+                  </div>
+                </motion.div>
+              )}
+
+              <motion.button
+                type="submit"
+                disabled={isLoading}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="btn-primary w-full flex justify-center items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+              >
+                {isLoading ? (
+                  <>
+                    <div className="spinner"></div>
+                    Signing in...
+                  </>
+                ) : (
+                  <>
+                    <LockClosedIcon className="h-4 w-4" />
+                    Sign in
+                  </>
+                )}
+              </motion.button>
+
+              {passkeyAvailable && (
+                <motion.button
+                  type="button"
+                  onClick={handlePasskeyLogin}
+                  disabled={isLoading || isSubmitting}
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  className="btn-secondary w-full flex justify-center items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+                >
+                  <FingerPrintIcon className="h-4 w-4" />
+                  Sign in with a passkey
+                </motion.button>
+              )}
+
+              <div className="text-center">
+                <span className="text-secondary-600">
+                  Don't have an account?{' '}
+                  <Link
+                    to="/register"
+                    className="font-semibold text-primary-600 hover:text-primary-700 transition-colors"
+                  >
+                    Sign up
+                  </Link>
+                </span>
+              </div>
+            </form>
+          )}
         </motion.div>
 
         {/* Security Notice */}
@@ -1,13 +1,16 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../../contexts/AuthContext';
+import { isPasskeySupported } from '../../utils/webauthn';
+import { authAPI, apiUtils } from '../../utils/api';
 import {
   EyeIcon,
   EyeSlashIcon,
   UserPlusIcon,
   DevicePhoneMobileIcon,
-  ShieldCheckIcon
+  ShieldCheckIcon,
+  EnvelopeIcon
 } from '@heroicons/react/24/outline';
 
 const Register = () => {
@@ -22,6 +25,14 @@ const Register = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [validationErrors, setValidationErrors] = useState({});
+  const [passkeyAvailable, setPasskeyAvailable] = useState(false);
+  const [createPasskey, setCreatePasskey] = useState(false);
+  const [pendingVerification, setPendingVerification] = useState(null);
+  const [resendStatus, setResendStatus] = useState({ isSending: false, message: '' });
+
+  useEffect(() => {
+    isPasskeySupported().then(setPasskeyAvailable);
+  }, []);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -85,13 +96,25 @@ const Register = () => {
       username: formData.username,
       email: formData.email,
       password: formData.password
-    });
+    }, { createPasskey });
 
     if (result.success) {
+      if (result.data.emailVerificationRequired) {
+        setPendingVerification({ email: formData.email, passkeyError: result.passkeyError });
+        return;
+      }
+
+      let message = 'Registration successful! Please log in with your credentials.';
+      if (createPasskey) {
+        message = result.passkeyError
+          ? `Registration successful, but ${result.passkeyError.toLowerCase()}. You can add one later in Security settings.`
+          : 'Registration successful! You can now sign in with your passkey or your password.';
+      }
+
       // Registration successful - redirect to login page
       navigate('/login', {
         state: {
-          message: 'Registration successful! Please log in with your credentials.',
+          message,
           email: formData.email
         }
       });
@@ -107,6 +130,69 @@ const Register = () => {
     }
   };
 
+  const handleResend = async () => {
+    setResendStatus({ isSending: true, message: '' });
+    try {
+      const response = await authAPI.resendVerification(pendingVerification.email);
+      setResendStatus({ isSending: false, message: response.message });
+    } catch (error) {
+      setResendStatus({ isSending: false, message: apiUtils.handleError(error).message });
+    }
+  };
+
+  if (pendingVerification) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div className="text-center">
+            <EnvelopeIcon className="mx-auto h-12 w-12 text-indigo-600" />
+            <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+              Check your inbox
+            </h2>
+            <p className="mt-2 text-sm text-gray-600">
+              We sent a verification link to <strong>{pendingVerification.email}</strong>.
+              Open it to activate your account.
+            </p>
+          </div>
+
+          {pendingVerification.passkeyError && (
+            <div className="rounded-md bg-yellow-50 p-4">
+              <div className="text-sm text-yellow-700">
+                {pendingVerification.passkeyError}. You can add one later in Security settings.
+              </div>
+            </div>
+          )}
+
+          {resendStatus.message && (
+            <div className="rounded-md bg-blue-50 p-4">
+              <div className="text-sm text-blue-700">{resendStatus.message}</div>
+            </div>
+          )}
+
+          <div className="space-y-3">
+            <button
+              type="button"
+              onClick={handleResend}
+              disabled={resendStatus.isSending}
+              className="w-full flex justify-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {resendStatus.isSending ? 'Sending...' : 'Resend verification email'}
+            </button>
+            <div className="text-center">
+              <Link
+                to="/login"
+                state={{ message: 'Sign in once you have verified your email.', email: pendingVerification.email }}
+                className="font-medium text-indigo-600 hover:text-indigo-500 text-sm"
+              >
+                Go to sign in
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -240,6 +326,23 @@ const Register = () => {
             </div>
           </div>
 
+          {passkeyAvailable && (
+            <div className="flex items-center">
+              <input
+                id="createPasskey"
+                name="createPasskey"
+                type="checkbox"
+                className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                checked={createPasskey}
+                onChange={(e) => setCreatePasskey(e.target.checked)}
+                disabled={isLoading}
+              />
+              <label htmlFor="createPasskey" className="ml-2 block text-sm text-gray-700">
+                Also create a passkey on this device for passwordless sign-in
+              </label>
+            </div>
+          )}
+
           {(error || validationErrors.general) && (
             <div className="rounded-md bg-red-50 p-4">
               <div className="text-sm text-red-700">
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { authAPI, apiUtils } from '../../utils/api';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) {
+      return;
+    }
+
+    if (formData.password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const response = await authAPI.resetPassword(token, formData.password);
+      navigate('/login', { replace: true, state: { message: response.message } });
+    } catch (error) {
+      setError(apiUtils.handleError(error).message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 via-white to-secondary-50 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6 }}
+        className="max-w-md w-full space-y-8"
+      >
+        <div className="text-center">
+          <h2 className="text-3xl font-bold gradient-text mb-2">
+            Choose a new password
+          </h2>
+          <p className="text-secondary-600">
+            You&apos;ll be signed out of all devices.
+          </p>
+        </div>
+
+        <div className="card-elevated p-8">
+          {!token ? (
+            <div className="rounded-lg bg-danger-50 border border-danger-200 p-4">
+              <div className="text-sm text-danger-700 font-medium">
+                This reset link is incomplete. Please request a new one.
+              </div>
+            </div>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-secondary-700 mb-2">
+                  New password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  className="input-field"
+                  value={formData.password}
+                  onChange={handleChange}
+                  disabled={isSubmitting}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-secondary-700 mb-2">
+                  Confirm new password
+                </label>
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  className="input-field"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  disabled={isSubmitting}
+                />
+              </div>
+
+              {error && (
+                <div className="rounded-lg bg-danger-50 border border-danger-200 p-4">
+                  <div className="text-sm text-danger-700 font-medium">{error}</div>
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="btn-primary w-full flex justify-center items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <LockClosedIcon className="h-4 w-4" />
+                {isSubmitting ? 'Saving...' : 'Set new password'}
+              </button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link
+              to="/forgot-password"
+              className="font-semibold text-primary-600 hover:text-primary-700 transition-colors"
+            >
+              Request a new link
+            </Link>
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ResetPassword;
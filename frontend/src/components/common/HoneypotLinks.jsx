@@ -0,0 +1,24 @@
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+// Decoy endpoints under the API (HONEYPOT_PATHS on the backend must include them)
+const HONEYPOT_LINKS = (import.meta.env.VITE_HONEYPOT_LINKS || '/crud/posts/export,/internal/users')
+  .split(',')
+  .map(path => path.trim())
+  .filter(Boolean);
+
+// Links no person can see, focus or click. Only a scraper following every href in the page
+// requests them, which flags it on the backend.
+const HoneypotLinks = () => (
+  <div
+    aria-hidden="true"
+    style={{ position: 'absolute', left: '-10000px', top: 'auto', width: '1px', height: '1px', overflow: 'hidden' }}
+  >
+    {HONEYPOT_LINKS.map(path => (
+      <a key={path} href={`${API_BASE_URL}${path}`} tabIndex={-1} rel="nofollow">
+        {path}
+      </a>
+    ))}
+  </div>
+);
+
+export default HoneypotLinks;
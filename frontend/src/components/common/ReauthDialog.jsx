@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { motion } from 'framer-motion';
+import { authAPI, accountAPI, twoFactorAPI, passkeyAPI, apiUtils } from '../../utils/api';
+import { isPasskeySupported } from '../../utils/webauthn';
+import { ShieldCheckIcon, FingerPrintIcon } from '@heroicons/react/24/outline';
+
+// Asks the signed-in user to confirm their identity before a sensitive operation is retried.
+// onDone(true) after a successful re-authentication, onDone(false) when cancelled.
+const ReauthDialog = ({ onDone }) => {
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(false);
+  const [canUsePasskey, setCanUsePasskey] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    const loadMethods = async () => {
+      try {
+        const [twoFactorStatus, passkeyList, passkeyAvailable] = await Promise.all([
+          twoFactorAPI.getStatus(),
+          passkeyAPI.getCredentials(),
+          isPasskeySupported()
+        ]);
+        setTwoFactorEnabled(twoFactorStatus.enabled);
+        setCanUsePasskey(passkeyAvailable && passkeyList.credentials.length > 0);
+      } catch (error) {
+        console.error('Failed to load re-authentication methods:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadMethods();
+  }, []);
+
+  const submit = async (getProof) => {
+    if (isSubmitting) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      await authAPI.reauthenticate(await getProof());
+      onDone(true);
+    } catch (error) {
+      if (error.name === 'NotAllowedError') {
+        setError('Passkey confirmation was cancelled');
+      } else {
+        setError(apiUtils.handleError(error).message);
+      }
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submit(async () => (twoFactorEnabled ? { code: code.trim() } : { password }));
+  };
+
+  const handlePasskey = () => {
+    submit(async () => ({ credential: await accountAPI.getPasskeyProof() }));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-secondary-900/50 px-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.2 }}
+        className="card-elevated w-full max-w-md p-8 bg-white"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="reauthTitle"
+      >
+        <h2 id="reauthTitle" className="text-xl font-bold text-secondary-900 flex items-center gap-2">
+          <ShieldCheckIcon className="h-6 w-6 text-primary-600" />
+          Confirm it&apos;s you
+        </h2>
+        <p className="text-secondary-600 mt-1">
+          This action needs a recent sign-in.
+        </p>
+
+        {error && (
+          <div className="mt-4 rounded-lg bg-danger-50 border border-danger-200 p-4">
+            <div className="text-sm text-danger-700 font-medium">{error}</div>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+          </div>
+        ) : (
+          <form className="mt-6 space-y-4" onSubmit={handleSubmit}>
+            {twoFactorEnabled ? (
+              <div>
+                <label htmlFor="reauthCode" className="block text-sm font-medium text-secondary-700 mb-2">
+                  Authenticator code
+                </label>
+                <input
+                  id="reauthCode"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  className="input-field"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  disabled={isSubmitting}
+                  autoFocus
+                />
+              </div>
+            ) : (
+              <div>
+                <label htmlFor="reauthPassword" className="block text-sm font-medium text-secondary-700 mb-2">
+                  Password
+                </label>
+                <input
+                  id="reauthPassword"
+                  type="password"
+                  autoComplete="current-password"
+                  className="input-field"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={isSubmitting}
+                  autoFocus
+                />
+              </div>
+            )}
+
+            <div className="flex flex-wrap gap-3">
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="btn-primary disabled:opacity-50"
+              >
+                Confirm
+              </button>
+              {canUsePasskey && (
+                <button
+                  type="button"
+                  onClick={handlePasskey}
+                  disabled={isSubmitting}
+                  className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+                >
+                  <FingerPrintIcon className="h-4 w-4" />
+                  Use passkey
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => onDone(false)}
+                disabled={isSubmitting}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+ReauthDialog.propTypes = {
+  onDone: PropTypes.func.isRequired
+};
+
+export default ReauthDialog;
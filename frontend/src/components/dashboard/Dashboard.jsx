@@ -2,7 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../../contexts/AuthContext';
-import { crudAPI } from '../../utils/api';
+import { crudAPI, authAPI, apiUtils } from '../../utils/api';
 import {
   DocumentTextIcon,
   CalendarIcon,
@@ -10,15 +10,22 @@ import {
   DevicePhoneMobileIcon,
   ArrowRightOnRectangleIcon,
   ShieldCheckIcon,
-  SparklesIcon
+  SparklesIcon,
+  EnvelopeIcon,
+  ComputerDesktopIcon,
+  UserCircleIcon,
+  UsersIcon,
+  EyeIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline';
 
 const Dashboard = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAll, stopImpersonating } = useAuth();
   const navigate = useNavigate();
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [resendStatus, setResendStatus] = useState({ isSending: false, message: '' });
 
   useEffect(() => {
     loadStats();
@@ -41,6 +48,25 @@ const Dashboard = () => {
     await logout();
   };
 
+  const handleLogoutAll = async () => {
+    await logoutAll();
+  };
+
+  const handleStopImpersonating = async () => {
+    await stopImpersonating();
+    navigate('/admin/users');
+  };
+
+  const handleResendVerification = async () => {
+    setResendStatus({ isSending: true, message: '' });
+    try {
+      const response = await authAPI.resendVerification(user.email);
+      setResendStatus({ isSending: false, message: response.message });
+    } catch (error) {
+      setResendStatus({ isSending: false, message: apiUtils.handleError(error).message });
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -92,6 +118,15 @@ const Dashboard = () => {
                 <ArrowRightOnRectangleIcon className="h-4 w-4" />
                 Logout
               </motion.button>
+              <motion.button
+                onClick={handleLogoutAll}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                className="btn-secondary flex items-center gap-2"
+              >
+                <ArrowRightOnRectangleIcon className="h-4 w-4" />
+                Sign out everywhere
+              </motion.button>
             </motion.div>
           </div>
         </div>
@@ -100,6 +135,49 @@ const Dashboard = () => {
       {/* Main content */}
       <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
         <div className="px-4 py-6 sm:px-0">
+          {user?.impersonator && (
+            <div className="mb-6 rounded-lg bg-danger-50 border border-danger-200 p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <div className="flex items-start gap-3">
+                <EyeIcon className="h-5 w-5 text-danger-600 flex-shrink-0 mt-0.5" />
+                <div className="text-sm text-danger-800">
+                  <p className="font-medium">You are impersonating {user.username}</p>
+                  <p>
+                    Signed in as {user.impersonator.username}. Everything you do is recorded, and
+                    password, email, 2FA and device changes are disabled.
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={handleStopImpersonating}
+                className="btn-secondary text-sm whitespace-nowrap"
+              >
+                End impersonation
+              </button>
+            </div>
+          )}
+
+          {user?.emailVerified === false && (
+            <div className="mb-6 rounded-lg bg-warning-50 border border-warning-200 p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <div className="flex items-start gap-3">
+                <EnvelopeIcon className="h-5 w-5 text-warning-600 flex-shrink-0 mt-0.5" />
+                <div className="text-sm text-warning-800">
+                  <p className="font-medium">Verify your email address</p>
+                  <p>
+                    {resendStatus.message ||
+                      `Until you open the link we sent to ${user.email}, your account is read-only.`}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={handleResendVerification}
+                disabled={resendStatus.isSending}
+                className="btn-secondary text-sm whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {resendStatus.isSending ? 'Sending...' : 'Resend email'}
+              </button>
+            </div>
+          )}
+
           {error && (
             <div className="mb-6 rounded-md bg-red-50 p-4">
               <div className="text-sm text-red-700">{error}</div>
@@ -263,7 +341,7 @@ const Dashboard = () => {
               <SparklesIcon className="h-6 w-6 text-primary-600" />
               Quick Actions
             </h3>
-            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
               <motion.button
                 onClick={() => navigate('/posts')}
                 whileHover={{ scale: 1.02 }}
@@ -282,6 +360,53 @@ const Dashboard = () => {
                 <DevicePhoneMobileIcon className="h-5 w-5" />
                 View Profile
               </motion.button>
+              <motion.button
+                onClick={() => navigate('/settings/security')}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="btn-secondary flex items-center justify-center gap-3 py-4"
+              >
+                <ShieldCheckIcon className="h-5 w-5" />
+                Security Settings
+              </motion.button>
+              <motion.button
+                onClick={() => navigate('/settings/sessions')}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="btn-secondary flex items-center justify-center gap-3 py-4"
+              >
+                <ComputerDesktopIcon className="h-5 w-5" />
+                Sessions
+              </motion.button>
+              <motion.button
+                onClick={() => navigate('/settings/activity')}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="btn-secondary flex items-center justify-center gap-3 py-4"
+              >
+                <ClockIcon className="h-5 w-5" />
+                Security Activity
+              </motion.button>
+              <motion.button
+                onClick={() => navigate('/settings/account')}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="btn-secondary flex items-center justify-center gap-3 py-4"
+              >
+                <UserCircleIcon className="h-5 w-5" />
+                Account Settings
+              </motion.button>
+              {user?.permissions?.includes('users:read') && (
+                <motion.button
+                  onClick={() => navigate('/admin/users')}
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  className="btn-secondary flex items-center justify-center gap-3 py-4"
+                >
+                  <UsersIcon className="h-5 w-5" />
+                  User Administration
+                </motion.button>
+              )}
             </div>
           </motion.div>
         </div>
@@ -0,0 +1,322 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { authAPI, accountAPI, twoFactorAPI, passkeyAPI, apiUtils } from '../../utils/api';
+import { isPasskeySupported } from '../../utils/webauthn';
+import {
+  ArrowLeftIcon,
+  UserCircleIcon,
+  LockClosedIcon,
+  EnvelopeIcon,
+  FingerPrintIcon
+} from '@heroicons/react/24/outline';
+
+const emptyStepUp = { currentPassword: '', code: '' };
+
+const AccountSettings = () => {
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState(null);
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(false);
+  const [canUsePasskey, setCanUsePasskey] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [passwordForm, setPasswordForm] = useState({ newPassword: '', confirmPassword: '', ...emptyStepUp });
+  const [emailForm, setEmailForm] = useState({ newEmail: '', ...emptyStepUp });
+
+  useEffect(() => {
+    loadAccount();
+  }, []);
+
+  const loadAccount = async () => {
+    try {
+      setLoading(true);
+      const [profileResponse, twoFactorStatus, passkeyList, passkeyAvailable] = await Promise.all([
+        authAPI.getProfile(),
+        twoFactorAPI.getStatus(),
+        passkeyAPI.getCredentials(),
+        isPasskeySupported()
+      ]);
+      setProfile(profileResponse.user);
+      setTwoFactorEnabled(twoFactorStatus.enabled);
+      setCanUsePasskey(passkeyAvailable && passkeyList.credentials.length > 0);
+    } catch (error) {
+      console.error('Failed to load account settings:', error);
+      setError('Failed to load account settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run an action with shared submitting/error handling
+  const submit = async (action) => {
+    if (isSubmitting) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      await action();
+    } catch (error) {
+      if (error.name === 'NotAllowedError') {
+        setError('Passkey confirmation was cancelled');
+      } else {
+        setError(apiUtils.handleError(error).message);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Proof that it's the account owner: a passkey assertion, or the password form fields
+  const getStepUp = async (form, usePasskey) => {
+    if (usePasskey) {
+      return { credential: await accountAPI.getPasskeyProof() };
+    }
+    return {
+      currentPassword: form.currentPassword,
+      ...(twoFactorEnabled && { code: form.code.trim() })
+    };
+  };
+
+  const handleChangePassword = (usePasskey) => (e) => {
+    e?.preventDefault();
+
+    if (passwordForm.newPassword.length < 8) {
+      setError('New password must be at least 8 characters');
+      return;
+    }
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    submit(async () => {
+      const response = await accountAPI.changePassword({
+        newPassword: passwordForm.newPassword,
+        ...await getStepUp(passwordForm, usePasskey)
+      });
+      setPasswordForm({ newPassword: '', confirmPassword: '', ...emptyStepUp });
+      setMessage(response.message);
+    });
+  };
+
+  const handleChangeEmail = (usePasskey) => (e) => {
+    e?.preventDefault();
+
+    if (!/\S+@\S+\.\S+/.test(emailForm.newEmail)) {
+      setError('Email is invalid');
+      return;
+    }
+
+    submit(async () => {
+      const response = await accountAPI.changeEmail({
+        newEmail: emailForm.newEmail,
+        ...await getStepUp(emailForm, usePasskey)
+      });
+      setEmailForm({ newEmail: '', ...emptyStepUp });
+      setMessage(response.message);
+      setProfile(prev => ({ ...prev, pendingEmail: response.pendingEmail }));
+    });
+  };
+
+  const renderStepUpFields = (form, setForm, idPrefix) => (
+    <>
+      <div>
+        <label htmlFor={`${idPrefix}CurrentPassword`} className="block text-sm font-medium text-secondary-700 mb-2">
+          Current password
+        </label>
+        <input
+          id={`${idPrefix}CurrentPassword`}
+          type="password"
+          autoComplete="current-password"
+          className="input-field"
+          value={form.currentPassword}
+          onChange={(e) => setForm(prev => ({ ...prev, currentPassword: e.target.value }))}
+          disabled={isSubmitting}
+        />
+      </div>
+      {twoFactorEnabled && (
+        <div>
+          <label htmlFor={`${idPrefix}Code`} className="block text-sm font-medium text-secondary-700 mb-2">
+            Authenticator code
+          </label>
+          <input
+            id={`${idPrefix}Code`}
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            className="input-field"
+            value={form.code}
+            onChange={(e) => setForm(prev => ({ ...prev, code: e.target.value }))}
+            disabled={isSubmitting}
+          />
+        </div>
+      )}
+    </>
+  );
+
+  const renderSubmitButtons = (label, onPasskey) => (
+    <div className="flex flex-wrap gap-3">
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="btn-primary disabled:opacity-50"
+      >
+        {label}
+      </button>
+      {canUsePasskey && (
+        <button
+          type="button"
+          onClick={onPasskey}
+          disabled={isSubmitting}
+          className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+        >
+          <FingerPrintIcon className="h-4 w-4" />
+          Confirm with passkey instead
+        </button>
+      )}
+    </div>
+  );
+
+  if (loading && !profile) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-secondary-50 via-white to-primary-50">
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-sm shadow-soft border-b border-white/20">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center py-6">
+            <button
+              onClick={() => navigate('/dashboard')}
+              className="mr-4 p-2 text-secondary-400 hover:text-secondary-600"
+            >
+              <ArrowLeftIcon className="h-5 w-5" />
+            </button>
+            <h1 className="text-3xl font-bold gradient-text flex items-center gap-3">
+              <UserCircleIcon className="h-8 w-8 text-primary-600" />
+              Account
+            </h1>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0 space-y-6">
+          {error && (
+            <div className="rounded-lg bg-danger-50 border border-danger-200 p-4">
+              <div className="text-sm text-danger-700 font-medium">{error}</div>
+            </div>
+          )}
+
+          {message && (
+            <div className="rounded-lg bg-success-50 border border-success-200 p-4">
+              <div className="text-sm text-success-700 font-medium">{message}</div>
+            </div>
+          )}
+
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+            className="card-elevated p-8"
+          >
+            <h2 className="text-xl font-bold text-secondary-900 flex items-center gap-2">
+              <LockClosedIcon className="h-6 w-6 text-primary-600" />
+              Change password
+            </h2>
+            <p className="text-secondary-600 mt-1">
+              Your other devices will be signed out.
+            </p>
+
+            <form className="mt-6 space-y-4" onSubmit={handleChangePassword(false)}>
+              <div>
+                <label htmlFor="newPassword" className="block text-sm font-medium text-secondary-700 mb-2">
+                  New password
+                </label>
+                <input
+                  id="newPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  className="input-field"
+                  value={passwordForm.newPassword}
+                  onChange={(e) => setPasswordForm(prev => ({ ...prev, newPassword: e.target.value }))}
+                  disabled={isSubmitting}
+                />
+              </div>
+              <div>
+                <label htmlFor="confirmNewPassword" className="block text-sm font-medium text-secondary-700 mb-2">
+                  Confirm new password
+                </label>
+                <input
+                  id="confirmNewPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  className="input-field"
+                  value={passwordForm.confirmPassword}
+                  onChange={(e) => setPasswordForm(prev => ({ ...prev, confirmPassword: e.target.value }))}
+                  disabled={isSubmitting}
+                />
+              </div>
+              {renderStepUpFields(passwordForm, setPasswordForm, 'password')}
+              {renderSubmitButtons('Change password', handleChangePassword(true))}
+            </form>
+          </motion.div>
+
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6, delay: 0.1 }}
+            className="card-elevated p-8"
+          >
+            <h2 className="text-xl font-bold text-secondary-900 flex items-center gap-2">
+              <EnvelopeIcon className="h-6 w-6 text-primary-600" />
+              Change email
+            </h2>
+            <p className="text-secondary-600 mt-1">
+              Currently <span className="font-semibold">{profile?.email}</span>. We&apos;ll send a
+              confirmation link to the new address; nothing changes until you open it.
+            </p>
+
+            {profile?.pendingEmail && (
+              <div className="mt-4 rounded-lg border border-warning-200 bg-warning-50 p-4 text-sm text-warning-800">
+                Waiting for confirmation of <span className="font-semibold">{profile.pendingEmail}</span>.
+              </div>
+            )}
+
+            <form className="mt-6 space-y-4" onSubmit={handleChangeEmail(false)}>
+              <div>
+                <label htmlFor="newEmail" className="block text-sm font-medium text-secondary-700 mb-2">
+                  New email address
+                </label>
+                <input
+                  id="newEmail"
+                  type="email"
+                  autoComplete="email"
+                  className="input-field"
+                  value={emailForm.newEmail}
+                  onChange={(e) => setEmailForm(prev => ({ ...prev, newEmail: e.target.value }))}
+                  disabled={isSubmitting}
+                />
+              </div>
+              {renderStepUpFields(emailForm, setEmailForm, 'email')}
+              {renderSubmitButtons('Send confirmation link', handleChangeEmail(true))}
+            </form>
+          </motion.div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default AccountSettings;
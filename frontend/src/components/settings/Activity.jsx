@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { authAPI, apiUtils } from '../../utils/api';
+import {
+  ArrowLeftIcon,
+  ClockIcon
+} from '@heroicons/react/24/outline';
+
+const EVENT_LABELS = {
+  account_created: 'Account created',
+  login_succeeded: 'Signed in',
+  login_failed: 'Failed sign-in attempt',
+  account_locked: 'Account locked after failed sign-ins',
+  device_key_created: 'New device registered',
+  device_key_revoked: 'Device signed out',
+  token_refreshed: 'Session refreshed',
+  token_reuse_detected: 'Refresh token reuse detected',
+  password_changed: 'Password changed',
+  email_changed: 'Email address changed',
+  account_suspended: 'Account suspended',
+  account_reactivated: 'Account reactivated',
+  account_unlocked: 'Account unlocked',
+  post_deleted: 'Post deleted',
+  risk_elevated: 'Unusual activity required extra verification'
+};
+
+// Events worth drawing attention to
+const WARNING_EVENTS = [
+  'login_failed',
+  'account_locked',
+  'token_reuse_detected',
+  'account_suspended',
+  'risk_elevated'
+];
+
+const Activity = () => {
+  const navigate = useNavigate();
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadActivity = async () => {
+      try {
+        setLoading(true);
+        const response = await authAPI.getActivity({ page: currentPage, limit: 20 });
+        setEvents(response.events);
+        setPagination(response.pagination);
+      } catch (error) {
+        setError(apiUtils.handleError(error).message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadActivity();
+  }, [currentPage]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-secondary-50 via-white to-primary-50">
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-sm shadow-soft border-b border-white/20">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center py-6">
+            <button
+              onClick={() => navigate('/dashboard')}
+              className="mr-4 p-2 text-secondary-400 hover:text-secondary-600"
+            >
+              <ArrowLeftIcon className="h-5 w-5" />
+            </button>
+            <h1 className="text-3xl font-bold gradient-text flex items-center gap-3">
+              <ClockIcon className="h-8 w-8 text-primary-600" />
+              Security Activity
+            </h1>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0 space-y-6">
+          {error && (
+            <div className="rounded-lg bg-danger-50 border border-danger-200 p-4">
+              <div className="text-sm text-danger-700 font-medium">{error}</div>
+            </div>
+          )}
+
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+            className="card-elevated p-8"
+          >
+            <h2 className="text-xl font-bold text-secondary-900">Recent activity</h2>
+            <p className="text-secondary-600 mt-1">
+              Sign-ins, new devices and changes to your account. If you don&apos;t recognise
+              something here, change your password and sign out your other devices.
+            </p>
+
+            {loading ? (
+              <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+              </div>
+            ) : events.length === 0 ? (
+              <p className="mt-6 text-sm text-secondary-500">No activity yet.</p>
+            ) : (
+              <ul className="mt-6 divide-y divide-secondary-100">
+                {events.map((event) => (
+                  <li key={event.id} className="py-3">
+                    <p className={`text-sm font-medium ${
+                      WARNING_EVENTS.includes(event.type) ? 'text-danger-700' : 'text-secondary-900'
+                    }`}>
+                      {EVENT_LABELS[event.type] || event.type}
+                      {event.actor && (
+                        <span className="font-normal text-secondary-500"> by {event.actor.username}</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-secondary-500">
+                      {new Date(event.createdAt).toLocaleString()}
+                      {event.ip && ` · ${event.ip}`}
+                      {event.userAgent && ` · ${event.userAgent}`}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {/* Pagination */}
+            {pagination && pagination.pages > 1 && (
+              <div className="mt-6 flex items-center justify-between">
+                <div className="text-sm text-secondary-600">
+                  Page {pagination.page} of {pagination.pages}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setCurrentPage(currentPage - 1)}
+                    disabled={currentPage === 1}
+                    className="btn-secondary text-sm disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setCurrentPage(currentPage + 1)}
+                    disabled={currentPage === pagination.pages}
+                    className="btn-secondary text-sm disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </motion.div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Activity;
@@ -0,0 +1,404 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { twoFactorAPI, passkeyAPI, apiUtils } from '../../utils/api';
+import { isPasskeySupported } from '../../utils/webauthn';
+import {
+  ArrowLeftIcon,
+  ShieldCheckIcon,
+  KeyIcon,
+  DevicePhoneMobileIcon,
+  ClipboardDocumentIcon,
+  FingerPrintIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+const SecuritySettings = () => {
+  const navigate = useNavigate();
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [showDisable, setShowDisable] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [passkeys, setPasskeys] = useState([]);
+  const [passkeyAvailable, setPasskeyAvailable] = useState(false);
+
+  useEffect(() => {
+    loadStatus();
+    isPasskeySupported().then(setPasskeyAvailable);
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      setLoading(true);
+      const [twoFactorStatus, passkeyList] = await Promise.all([
+        twoFactorAPI.getStatus(),
+        passkeyAPI.getCredentials()
+      ]);
+      setStatus(twoFactorStatus);
+      setPasskeys(passkeyList.credentials);
+    } catch (error) {
+      console.error('Failed to load security settings:', error);
+      setError('Failed to load security settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run an action with shared submitting/error handling
+  const submit = async (action) => {
+    if (isSubmitting) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      await action();
+    } catch (error) {
+      setError(apiUtils.handleError(error).message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStartSetup = () => submit(async () => {
+    setRecoveryCodes(null);
+    setEnrollment(await twoFactorAPI.setup());
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const response = await twoFactorAPI.enable(code.trim());
+      setRecoveryCodes(response.recoveryCodes);
+      setEnrollment(null);
+      setCode('');
+      setMessage('Two-factor authentication is now enabled.');
+      await loadStatus();
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const response = await twoFactorAPI.regenerateRecoveryCodes(code.trim());
+      setRecoveryCodes(response.recoveryCodes);
+      setCode('');
+      setMessage('New recovery codes generated. The old ones no longer work.');
+      await loadStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      await twoFactorAPI.disable(password, code.trim());
+      setShowDisable(false);
+      setRecoveryCodes(null);
+      setPassword('');
+      setCode('');
+      setMessage('Two-factor authentication has been disabled.');
+      await loadStatus();
+    });
+  };
+
+  const handleAddPasskey = () => submit(async () => {
+    try {
+      await passkeyAPI.register(`Passkey on ${navigator.platform || 'this device'}`);
+    } catch (error) {
+      if (error.name === 'NotAllowedError') {
+        throw new Error('Passkey creation was cancelled');
+      }
+      throw error;
+    }
+    setMessage('Passkey added. You can now sign in without a password on this device.');
+    await loadStatus();
+  });
+
+  const handleRemovePasskey = (passkey) => {
+    if (!window.confirm(`Remove "${passkey.name || 'Passkey'}"?`)) {
+      return;
+    }
+
+    submit(async () => {
+      await passkeyAPI.removeCredential(passkey.id);
+      setMessage('Passkey removed.');
+      await loadStatus();
+    });
+  };
+
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      setMessage('Recovery codes copied to clipboard.');
+    } catch (error) {
+      console.error('Failed to copy recovery codes:', error);
+    }
+  };
+
+  if (loading && !status) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-secondary-50 via-white to-primary-50">
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-sm shadow-soft border-b border-white/20">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center py-6">
+            <button
+              onClick={() => navigate('/dashboard')}
+              className="mr-4 p-2 text-secondary-400 hover:text-secondary-600"
+            >
+              <ArrowLeftIcon className="h-5 w-5" />
+            </button>
+            <h1 className="text-3xl font-bold gradient-text flex items-center gap-3">
+              <ShieldCheckIcon className="h-8 w-8 text-primary-600" />
+              Security
+            </h1>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0 space-y-6">
+          {error && (
+            <div className="rounded-lg bg-danger-50 border border-danger-200 p-4">
+              <div className="text-sm text-danger-700 font-medium">{error}</div>
+            </div>
+          )}
+
+          {message && (
+            <div className="rounded-lg bg-success-50 border border-success-200 p-4">
+              <div className="text-sm text-success-700 font-medium">{message}</div>
+            </div>
+          )}
+
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+            className="card-elevated p-8"
+          >
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <h2 className="text-xl font-bold text-secondary-900 flex items-center gap-2">
+                  <DevicePhoneMobileIcon className="h-6 w-6 text-primary-600" />
+                  Two-factor authentication
+                </h2>
+                <p className="text-secondary-600 mt-1">
+                  Require a code from an authenticator app in addition to your password when signing in.
+                </p>
+              </div>
+              <span className="security-badge whitespace-nowrap">
+                {status?.enabled ? 'Enabled' : 'Disabled'}
+              </span>
+            </div>
+
+            {/* Not enabled: start or finish enrollment */}
+            {!status?.enabled && !enrollment && (
+              <button
+                onClick={handleStartSetup}
+                disabled={isSubmitting}
+                className="btn-primary mt-6 flex items-center gap-2 disabled:opacity-50"
+              >
+                <KeyIcon className="h-4 w-4" />
+                Set up authenticator app
+              </button>
+            )}
+
+            {!status?.enabled && enrollment && (
+              <form className="mt-6 space-y-4" onSubmit={handleEnable}>
+                <div className="rounded-lg bg-secondary-50 p-4 text-sm text-secondary-700 space-y-2">
+                  <p>
+                    Add this account to your authenticator app by opening the{' '}
+                    <a href={enrollment.otpauthUrl} className="font-semibold text-primary-600 hover:text-primary-700">
+                      setup link
+                    </a>
+                    {' '}on your phone, or enter the key manually:
+                  </p>
+                  <p className="font-mono text-base break-all select-all">{enrollment.secret}</p>
+                </div>
+                <div>
+                  <label htmlFor="enableCode" className="block text-sm font-medium text-secondary-700 mb-2">
+                    Code from the app
+                  </label>
+                  <input
+                    id="enableCode"
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    className="input-field tracking-widest"
+                    placeholder="123456"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    disabled={isSubmitting}
+                  />
+                </div>
+                <div className="flex gap-3">
+                  <button type="submit" disabled={isSubmitting || !code.trim()} className="btn-primary disabled:opacity-50">
+                    Enable
+                  </button>
+                  <button type="button" onClick={() => setEnrollment(null)} className="btn-secondary">
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {/* Recovery codes are only shown once */}
+            {recoveryCodes && (
+              <div className="mt-6 rounded-lg border border-warning-200 bg-warning-50 p-4">
+                <p className="text-sm font-semibold text-secondary-900">Save your recovery codes</p>
+                <p className="text-sm text-secondary-600 mt-1">
+                  Each code can be used once to sign in if you lose your authenticator. They will not be shown again.
+                </p>
+                <ul className="mt-4 grid grid-cols-2 gap-2 font-mono text-sm text-secondary-900">
+                  {recoveryCodes.map((recoveryCode) => (
+                    <li key={recoveryCode}>{recoveryCode}</li>
+                  ))}
+                </ul>
+                <button onClick={copyRecoveryCodes} className="btn-secondary mt-4 flex items-center gap-2">
+                  <ClipboardDocumentIcon className="h-4 w-4" />
+                  Copy codes
+                </button>
+              </div>
+            )}
+
+            {/* Enabled: manage recovery codes or turn off */}
+            {status?.enabled && (
+              <div className="mt-6 space-y-4">
+                <p className="text-sm text-secondary-600">
+                  {status.recoveryCodesRemaining} unused recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+                </p>
+                <form className="space-y-4" onSubmit={showDisable ? handleDisable : handleRegenerate}>
+                  {showDisable && (
+                    <div>
+                      <label htmlFor="disablePassword" className="block text-sm font-medium text-secondary-700 mb-2">
+                        Password
+                      </label>
+                      <input
+                        id="disablePassword"
+                        type="password"
+                        autoComplete="current-password"
+                        className="input-field"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        disabled={isSubmitting}
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label htmlFor="manageCode" className="block text-sm font-medium text-secondary-700 mb-2">
+                      Current code from your authenticator app
+                    </label>
+                    <input
+                      id="manageCode"
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      className="input-field tracking-widest"
+                      placeholder="123456"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                  <div className="flex flex-wrap gap-3">
+                    {showDisable ? (
+                      <>
+                        <button type="submit" disabled={isSubmitting || !code.trim() || !password} className="btn-primary disabled:opacity-50">
+                          Disable two-factor authentication
+                        </button>
+                        <button type="button" onClick={() => setShowDisable(false)} className="btn-secondary">
+                          Cancel
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button type="submit" disabled={isSubmitting || !code.trim()} className="btn-primary disabled:opacity-50">
+                          Generate new recovery codes
+                        </button>
+                        <button type="button" onClick={() => setShowDisable(true)} className="btn-secondary">
+                          Disable
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </form>
+              </div>
+            )}
+          </motion.div>
+
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6, delay: 0.1 }}
+            className="card-elevated p-8"
+          >
+            <h2 className="text-xl font-bold text-secondary-900 flex items-center gap-2">
+              <FingerPrintIcon className="h-6 w-6 text-primary-600" />
+              Passkeys
+            </h2>
+            <p className="text-secondary-600 mt-1">
+              Sign in without a password using your device&apos;s fingerprint, face or PIN.
+            </p>
+
+            {passkeys.length > 0 && (
+              <ul className="mt-6 divide-y divide-secondary-100">
+                {passkeys.map((passkey) => (
+                  <li key={passkey.id} className="flex items-center justify-between py-3">
+                    <div>
+                      <p className="text-sm font-medium text-secondary-900">{passkey.name || 'Passkey'}</p>
+                      <p className="text-xs text-secondary-500">
+                        Added {new Date(passkey.createdAt).toLocaleDateString()}
+                        {passkey.lastUsed && ` · Last used ${new Date(passkey.lastUsed).toLocaleDateString()}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleRemovePasskey(passkey)}
+                      disabled={isSubmitting}
+                      className="p-2 text-secondary-400 hover:text-danger-600"
+                      title="Remove passkey"
+                    >
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {passkeyAvailable ? (
+              <button
+                onClick={handleAddPasskey}
+                disabled={isSubmitting}
+                className="btn-primary mt-6 flex items-center gap-2 disabled:opacity-50"
+              >
+                <FingerPrintIcon className="h-4 w-4" />
+                Add a passkey on this device
+              </button>
+            ) : (
+              <p className="mt-6 text-sm text-secondary-500">
+                This browser or device doesn&apos;t support passkeys.
+              </p>
+            )}
+          </motion.div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default SecuritySettings;
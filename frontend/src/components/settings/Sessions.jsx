@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { authAPI, apiUtils } from '../../utils/api';
+import {
+  ArrowLeftIcon,
+  ComputerDesktopIcon,
+  ArrowRightOnRectangleIcon
+} from '@heroicons/react/24/outline';
+
+const Sessions = () => {
+  const navigate = useNavigate();
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    loadDevices();
+  }, []);
+
+  const loadDevices = async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getDevices();
+      setDevices(response.devices);
+    } catch (error) {
+      console.error('Failed to load devices:', error);
+      setError('Failed to load devices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run an action with shared submitting/error handling
+  const submit = async (action) => {
+    if (isSubmitting) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      await action();
+    } catch (error) {
+      setError(apiUtils.handleError(error).message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevoke = (device) => {
+    if (!window.confirm(`Sign out ${device.userAgent}?`)) {
+      return;
+    }
+
+    submit(async () => {
+      await authAPI.revokeDevice(device.keyId);
+      setMessage('Device signed out.');
+      await loadDevices();
+    });
+  };
+
+  const handleRevokeOthers = () => {
+    if (!window.confirm('Sign out every other device?')) {
+      return;
+    }
+
+    submit(async () => {
+      const response = await authAPI.revokeOtherDevices();
+      setMessage(`${response.revoked} other device${response.revoked === 1 ? '' : 's'} signed out.`);
+      await loadDevices();
+    });
+  };
+
+  const otherDevices = devices.filter((device) => !device.current);
+
+  if (loading && devices.length === 0) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-secondary-50 via-white to-primary-50">
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-sm shadow-soft border-b border-white/20">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center py-6">
+            <button
+              onClick={() => navigate('/dashboard')}
+              className="mr-4 p-2 text-secondary-400 hover:text-secondary-600"
+            >
+              <ArrowLeftIcon className="h-5 w-5" />
+            </button>
+            <h1 className="text-3xl font-bold gradient-text flex items-center gap-3">
+              <ComputerDesktopIcon className="h-8 w-8 text-primary-600" />
+              Sessions
+            </h1>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0 space-y-6">
+          {error && (
+            <div className="rounded-lg bg-danger-50 border border-danger-200 p-4">
+              <div className="text-sm text-danger-700 font-medium">{error}</div>
+            </div>
+          )}
+
+          {message && (
+            <div className="rounded-lg bg-success-50 border border-success-200 p-4">
+              <div className="text-sm text-success-700 font-medium">{message}</div>
+            </div>
+          )}
+
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.6 }}
+            className="card-elevated p-8"
+          >
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <h2 className="text-xl font-bold text-secondary-900">Signed-in devices</h2>
+                <p className="text-secondary-600 mt-1">
+                  Each browser you sign in from gets its own device key. Signing a device out
+                  revokes its tokens immediately.
+                </p>
+              </div>
+              {otherDevices.length > 0 && (
+                <button
+                  onClick={handleRevokeOthers}
+                  disabled={isSubmitting}
+                  className="btn-secondary whitespace-nowrap flex items-center gap-2 disabled:opacity-50"
+                >
+                  <ArrowRightOnRectangleIcon className="h-4 w-4" />
+                  Sign out all others
+                </button>
+              )}
+            </div>
+
+            <ul className="mt-6 divide-y divide-secondary-100">
+              {devices.map((device) => (
+                <li key={device.keyId} className="flex items-center justify-between py-3">
+                  <div>
+                    <p className="text-sm font-medium text-secondary-900 flex items-center gap-2">
+                      {device.userAgent}
+                      {device.current && (
+                        <span className="security-badge">This device</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-secondary-500">
+                      {device.lastIp && `${device.lastIp} · `}
+                      Last active {new Date(device.lastUsed).toLocaleString()}
+                      {' · '}Signed in {new Date(device.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  {!device.current && (
+                    <button
+                      onClick={() => handleRevoke(device)}
+                      disabled={isSubmitting}
+                      className="p-2 text-secondary-400 hover:text-danger-600"
+                      title="Sign out this device"
+                    >
+                      <ArrowRightOnRectangleIcon className="h-5 w-5" />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </motion.div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Sessions;
@@ -1,7 +1,20 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI, setAccessToken, setDeviceKeyId, clearAuth, apiUtils } from '../utils/api.js';
+import React, { createContext, useContext, useReducer, useEffect, useRef, useState } from 'react';
+import {
+  authAPI,
+  passkeyAPI,
+  adminAPI,
+  setAccessToken,
+  setDeviceKeyId,
+  clearAuth,
+  startImpersonationSession,
+  endImpersonationSession,
+  isImpersonating,
+  apiUtils
+} from '../utils/api.js';
 import { generateDeviceKeyPair, deleteDeviceKey } from '../utils/crypto.js';
 import { generateFingerprint, storeFingerprint } from '../utils/fingerprint.js';
+import { getPasskeyAssertion } from '../utils/webauthn.js';
+import ReauthDialog from '../components/common/ReauthDialog.jsx';
 
 // Auth context
 const AuthContext = createContext();
@@ -72,6 +85,15 @@ const authReducer = (state, action) => {
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
+  // Password step of a login waiting for its second factor
+  const pendingTwoFactor = useRef(null);
+
+  // Resolver of the request waiting on the re-authentication dialog
+  const [pendingReauth, setPendingReauth] = useState(null);
+
+  // Set while an impersonation session is being handed back to the admin
+  const stoppingImpersonation = useRef(false);
+
   // Initialize authentication on app start
   useEffect(() => {
     initializeAuth();
@@ -330,12 +352,26 @@ export const AuthProvider = ({ children }) => {
       }
     };
 
+    // A sensitive request was rejected for a stale sign-in; the API client waits on resolve
+    const handleReauthRequired = (event) => {
+      setPendingReauth(() => event.detail.resolve);
+    };
+
+    // The impersonation token expired or was revoked
+    const handleImpersonationExpired = () => {
+      stopImpersonating();
+    };
+
     window.addEventListener('auth-failed', handleAuthFailed);
     window.addEventListener('security-alert', handleSecurityAlert);
+    window.addEventListener('reauthentication-required', handleReauthRequired);
+    window.addEventListener('impersonation-expired', handleImpersonationExpired);
 
     return () => {
       window.removeEventListener('auth-failed', handleAuthFailed);
       window.removeEventListener('security-alert', handleSecurityAlert);
+      window.removeEventListener('reauthentication-required', handleReauthRequired);
+      window.removeEventListener('impersonation-expired', handleImpersonationExpired);
     };
   }, []);
 
@@ -357,28 +393,103 @@ export const AuthProvider = ({ children }) => {
         fingerprint
       });
 
-      // Store authentication data
-      setAccessToken(response.accessToken);
-      setDeviceKeyId(keyId);
-      localStorage.setItem('deviceKeyId', keyId);
+      // Account has 2FA: keep the device key for the second step
+      if (response.twoFactorRequired) {
+        pendingTwoFactor.current = { mfaToken: response.mfaToken, keyId, publicKeyJwk, fingerprint };
+        dispatch({ type: 'SET_UNAUTHENTICATED' });
+        return { success: true, twoFactorRequired: true };
+      }
 
-      dispatch({
-        type: 'SET_AUTHENTICATED',
-        payload: {
-          user: response.user,
-          deviceKeyId: keyId
-        }
-      });
+      completeLogin(response, keyId);
+
+      return { success: true, data: response };
+    } catch (error) {
+      const errorInfo = apiUtils.handleError(error);
+      dispatch({ type: 'SET_ERROR', payload: errorInfo.message });
+      return { success: false, error: errorInfo };
+    }
+  };
+
+  // Passwordless login with a passkey; the session is still bound to a new device key
+  const loginWithPasskey = async () => {
+    try {
+      dispatch({ type: 'SET_LOADING' });
+
+      const { publicKey } = await passkeyAPI.getLoginOptions();
+      const credential = await getPasskeyAssertion(publicKey);
+
+      const { keyId, publicKeyJwk } = await generateDeviceKeyPair();
+      const fingerprint = await generateFingerprint();
+      storeFingerprint(fingerprint);
+
+      const response = await passkeyAPI.login({ credential, publicKeyJwk, fingerprint });
+      completeLogin(response, keyId);
 
       return { success: true, data: response };
     } catch (error) {
+      // The user dismissed the browser prompt
+      if (error.name === 'NotAllowedError') {
+        dispatch({ type: 'SET_UNAUTHENTICATED' });
+        return { success: false, error: { message: 'Passkey sign-in was cancelled', type: 'cancelled' } };
+      }
+
       const errorInfo = apiUtils.handleError(error);
       dispatch({ type: 'SET_ERROR', payload: errorInfo.message });
       return { success: false, error: errorInfo };
     }
   };
 
-  const register = async (userData) => {
+  // Second login step with a TOTP code or a recovery code
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
+    const pending = pendingTwoFactor.current;
+    if (!pending) {
+      return { success: false, error: { message: 'Login session expired, please sign in again', type: 'auth' } };
+    }
+
+    try {
+      const response = await authAPI.loginTwoFactor({
+        mfaToken: pending.mfaToken,
+        code,
+        recoveryCode,
+        publicKeyJwk: pending.publicKeyJwk,
+        fingerprint: pending.fingerprint
+      });
+
+      pendingTwoFactor.current = null;
+      completeLogin(response, pending.keyId);
+
+      return { success: true, data: response };
+    } catch (error) {
+      const errorInfo = apiUtils.handleError(error);
+      return { success: false, error: errorInfo };
+    }
+  };
+
+  const cancelTwoFactor = async () => {
+    const pending = pendingTwoFactor.current;
+    pendingTwoFactor.current = null;
+
+    if (pending) {
+      await deleteDeviceKey(pending.keyId).catch(() => {});
+    }
+  };
+
+  // Store authentication data after a successful login
+  const completeLogin = (response, keyId) => {
+    setAccessToken(response.accessToken);
+    setDeviceKeyId(keyId);
+    localStorage.setItem('deviceKeyId', keyId);
+
+    dispatch({
+      type: 'SET_AUTHENTICATED',
+      payload: {
+        user: response.user,
+        deviceKeyId: keyId
+      }
+    });
+  };
+
+  const register = async (userData, { createPasskey = false } = {}) => {
     try {
       dispatch({ type: 'SET_LOADING' });
 
@@ -396,14 +507,36 @@ export const AuthProvider = ({ children }) => {
         fingerprint
       });
 
+      // Optionally create a passkey while the registration session is still valid.
+      // A failure here doesn't undo the registration; the user can add one later.
+      // No session is started when unverified accounts can't sign in, so skip it then
+      let passkeyError = null;
+      if (createPasskey && response.accessToken) {
+        try {
+          setAccessToken(response.accessToken);
+          setDeviceKeyId(keyId);
+          await passkeyAPI.register('Passkey created at sign-up');
+        } catch (error) {
+          console.error('Passkey creation failed:', error);
+          passkeyError = error.name === 'NotAllowedError'
+            ? 'Passkey creation was cancelled'
+            : 'Passkey could not be created';
+        }
+      }
+
       // Registration successful - don't auto-login, let user login manually
       // Clear any stored auth data from registration
       clearAuth();
 
+      // The device key was never registered if the server didn't start a session
+      if (!response.accessToken) {
+        await deleteDeviceKey(keyId).catch(() => {});
+      }
+
       // Set back to unauthenticated state
       dispatch({ type: 'SET_UNAUTHENTICATED' });
 
-      return { success: true, data: response };
+      return { success: true, data: response, passkeyError };
     } catch (error) {
       const errorInfo = apiUtils.handleError(error);
       dispatch({ type: 'SET_ERROR', payload: errorInfo.message });
@@ -412,6 +545,12 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = async () => {
+    // Signing out of an impersonation only ends the impersonation
+    if (isImpersonating()) {
+      await stopImpersonating();
+      return;
+    }
+
     try {
       // Try to logout from server
       await authAPI.logout();
@@ -424,6 +563,85 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const logoutAll = async () => {
+    try {
+      await authAPI.logoutAll();
+    } catch (error) {
+      console.error('Logout all error:', error);
+    } finally {
+      clearAuth();
+      dispatch({ type: 'SET_UNAUTHENTICATED' });
+    }
+  };
+
+  // Admin support: continue as another user with a short-lived token bound to a new device key.
+  // The admin's own session stays in place (and comes back on reload).
+  const impersonate = async (userId, reason) => {
+    try {
+      const { keyId, publicKeyJwk } = await generateDeviceKeyPair();
+      const response = await adminAPI.impersonateUser(userId, { publicKeyJwk, reason });
+
+      startImpersonationSession(response.accessToken, keyId);
+      dispatch({
+        type: 'SET_AUTHENTICATED',
+        payload: {
+          user: response.user,
+          deviceKeyId: keyId
+        }
+      });
+
+      return { success: true, data: response };
+    } catch (error) {
+      return { success: false, error: apiUtils.handleError(error) };
+    }
+  };
+
+  // Leave an impersonation and go back to the admin's own session
+  const stopImpersonating = async () => {
+    if (!isImpersonating() || stoppingImpersonation.current) {
+      return;
+    }
+    stoppingImpersonation.current = true;
+
+    try {
+      try {
+        await adminAPI.endImpersonation();
+      } catch (error) {
+        // Already expired or revoked
+        console.error('End impersonation error:', error);
+      }
+
+      const session = endImpersonationSession();
+      deleteDeviceKey(session.impersonationKeyId).catch((error) => {
+        console.error('Failed to delete impersonation key:', error);
+      });
+
+      const response = await authAPI.refresh();
+      setAccessToken(response.accessToken);
+      const profile = await authAPI.getProfile();
+
+      dispatch({
+        type: 'SET_AUTHENTICATED',
+        payload: {
+          user: profile.user,
+          deviceKeyId: session.adminDeviceKeyId
+        }
+      });
+    } catch (error) {
+      console.error('Failed to restore session after impersonation:', error);
+      clearAuth();
+      dispatch({ type: 'SET_UNAUTHENTICATED' });
+    } finally {
+      stoppingImpersonation.current = false;
+    }
+  };
+
+  // Reload the signed-in user's profile, e.g. after their email was verified
+  const refreshProfile = async () => {
+    const profile = await authAPI.getProfile();
+    dispatch({ type: 'UPDATE_USER', payload: profile.user });
+  };
+
   const value = {
     // State
     ...state,
@@ -433,8 +651,14 @@ export const AuthProvider = ({ children }) => {
     // Actions
     register,
     login,
+    loginWithPasskey,
+    verifyTwoFactor,
+    cancelTwoFactor,
     logout,
-    refreshProfile: async () => {},
+    logoutAll,
+    refreshProfile,
+    impersonate,
+    stopImpersonating,
 
     // Utilities
     clearError: () => dispatch({ type: 'SET_ERROR', payload: null })
@@ -443,6 +667,14 @@ export const AuthProvider = ({ children }) => {
   return (
     <AuthContext.Provider value={value}>
       {children}
+      {pendingReauth && (
+        <ReauthDialog
+          onDone={(confirmed) => {
+            pendingReauth(confirmed);
+            setPendingReauth(null);
+          }}
+        />
+      )}
     </AuthContext.Provider>
   );
 };
@@ -385,7 +385,8 @@ class AntiScrapingProtection {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        challenges: this.challenges,
+        // The backend accepts up to 100 challenges per report; send the latest
+        challenges: this.challenges.slice(-100),
         userAgent: navigator.userAgent,
         timestamp: Date.now()
       })
@@ -1,6 +1,8 @@
 import axios from 'axios';
 import { generateDPoPProof, getPrivateKey } from './crypto.js';
 import { generateFingerprint, validateFingerprint } from './fingerprint.js';
+import { createPasskeyCredential, getPasskeyAssertion } from './webauthn.js';
+import { solveChallenge } from './powChallenge.js';
 
 // API base configuration
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
@@ -16,6 +18,11 @@ const apiClient = axios.create({
 let accessToken = null;
 let currentDeviceKeyId = null;
 let refreshPromise = null; // Track ongoing refresh attempts
+let dpopNonce = null; // Latest server-issued DPoP nonce
+let reauthPromise = null; // Shared prompt while the user is asked to re-authenticate
+let impersonation = null; // The admin's own device key while they impersonate a user
+let clearance = null; // Earned by solving a proof-of-work challenge, sent as X-Clearance
+let challengePromise = null; // Shared while a challenge is being solved
 
 // Set access token
 export const setAccessToken = (token) => {
@@ -37,6 +44,34 @@ export const getDeviceKeyId = () => currentDeviceKeyId;
 export const clearAuth = () => {
   accessToken = null;
   currentDeviceKeyId = null;
+  dpopNonce = null;
+  impersonation = null;
+};
+
+// Switch requests to an impersonation token and its device key, remembering the admin's key
+export const startImpersonationSession = (token, keyId) => {
+  impersonation = { adminDeviceKeyId: currentDeviceKeyId, impersonationKeyId: keyId };
+  accessToken = token;
+  currentDeviceKeyId = keyId;
+};
+
+// Switch back to the admin's device key; the caller refreshes to get the admin a new token
+export const endImpersonationSession = () => {
+  const session = impersonation;
+  impersonation = null;
+  accessToken = null;
+  currentDeviceKeyId = session?.adminDeviceKeyId ?? currentDeviceKeyId;
+  return session;
+};
+
+export const isImpersonating = () => !!impersonation;
+
+// Remember the nonce from a response so the next DPoP proof can include it
+const updateDPoPNonce = (response) => {
+  const nonce = response?.headers?.['dpop-nonce'];
+  if (nonce) {
+    dpopNonce = nonce;
+  }
 };
 
 // Request interceptor to add authentication headers
@@ -49,6 +84,10 @@ apiClient.interceptors.request.use(
         config.headers['X-Fingerprint'] = JSON.stringify(fingerprint);
       }
 
+      if (clearance) {
+        config.headers['X-Clearance'] = clearance;
+      }
+
       // Add authentication headers if we have a token and device key
       if (accessToken && currentDeviceKeyId) {
         // Get private key for DPoP proof
@@ -71,7 +110,7 @@ apiClient.interceptors.request.use(
 
 
         // Generate DPoP proof
-        const dpopProof = await generateDPoPProof(fullUrl, method, privateKey);
+        const dpopProof = await generateDPoPProof(fullUrl, method, privateKey, dpopNonce, accessToken);
 
         // Add headers
         config.headers['Authorization'] = `Bearer ${accessToken}`;
@@ -101,18 +140,91 @@ apiClient.interceptors.request.use(
 
 // Response interceptor to handle token refresh
 apiClient.interceptors.response.use(
-  (response) => response,
+  (response) => {
+    updateDPoPNonce(response);
+    return response;
+  },
   async (error) => {
     const originalRequest = error.config;
+    updateDPoPNonce(error.response);
+
+    // Server wants a (fresh) nonce in the DPoP proof: retry once with the one it just sent
+    if (error.response?.status === 401 && error.response.data?.error === 'use_dpop_nonce' &&
+        !originalRequest._nonceRetry) {
+      originalRequest._nonceRetry = true;
+      return apiClient(originalRequest);
+    }
+
+    // Challenged as a possible bot: solve the proof-of-work puzzle the server sent (one solve
+    // shared by concurrent requests), then retry once with the clearance it earns
+    const challenge = error.response?.data?.challenge;
+    if (error.response?.status === 403 && challenge && !originalRequest._challengeRetry) {
+      originalRequest._challengeRetry = true;
+
+      if (!challengePromise) {
+        challengePromise = solveChallenge(challenge)
+          .then(solution => securityAPI.redeemChallenge(challenge.challenge, solution))
+          .then((response) => {
+            clearance = response.clearance;
+            return true;
+          })
+          .catch((challengeError) => {
+            console.error('Challenge failed:', challengeError);
+            return false;
+          })
+          .finally(() => {
+            challengePromise = null;
+          });
+      }
+
+      if (await challengePromise) {
+        return apiClient(originalRequest);
+      }
+      return Promise.reject(error);
+    }
+
+    // Sensitive operation after the sign-in went stale: ask the user to confirm their identity
+    // (AuthContext shows the prompt and resolves with whether it succeeded), then retry once
+    if (error.response?.status === 403 && error.response.data?.error === 'reauthentication_required' &&
+        !originalRequest._reauthRetry) {
+      originalRequest._reauthRetry = true;
+
+      if (!reauthPromise) {
+        reauthPromise = new Promise((resolve) => {
+          window.dispatchEvent(new CustomEvent('reauthentication-required', {
+            detail: { resolve }
+          }));
+        }).finally(() => {
+          reauthPromise = null;
+        });
+      }
+
+      if (await reauthPromise) {
+        return apiClient(originalRequest);
+      }
+      return Promise.reject(error);
+    }
+
+    // Impersonation tokens can't be refreshed (the refresh cookie is the admin's): hand the
+    // session back to the admin instead
+    if (error.response?.status === 401 && impersonation) {
+      if (originalRequest.url !== '/admin/impersonation/end') {
+        window.dispatchEvent(new CustomEvent('impersonation-expired'));
+      }
+      return Promise.reject(error);
+    }
 
     // If we get a 401 and haven't already tried to refresh
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    // (a failed sign-in is not an expired session)
+    if (error.response?.status === 401 && !originalRequest._retry &&
+        originalRequest.url !== '/auth/refresh' && !originalRequest.url.startsWith('/auth/login') &&
+        !originalRequest.url.startsWith('/auth/webauthn/login')) {
       originalRequest._retry = true;
 
       try {
-        // Try to refresh the token
-        const response = await apiClient.post('/auth/refresh');
-        const { accessToken: newToken } = response.data;
+        // Try to refresh the token. Refresh tokens are single-use, so concurrent
+        // 401s must share one refresh call or the server will see a reused token.
+        const { accessToken: newToken } = await authAPI.refresh();
 
         // Update stored token
         setAccessToken(newToken);
@@ -150,6 +262,36 @@ export const authAPI = {
     return response.data;
   },
 
+  // Complete a login that requires a second factor
+  loginTwoFactor: async (data) => {
+    const response = await apiClient.post('/auth/login/2fa', data);
+    return response.data;
+  },
+
+  // Request a password reset email
+  forgotPassword: async (email) => {
+    const response = await apiClient.post('/auth/password/forgot', { email });
+    return response.data;
+  },
+
+  // Set a new password with the token from the reset email
+  resetPassword: async (token, password) => {
+    const response = await apiClient.post('/auth/password/reset', { token, password });
+    return response.data;
+  },
+
+  // Confirm an email address with the token from the verification email
+  verifyEmail: async (token) => {
+    const response = await apiClient.get('/auth/verify-email', { params: { token } });
+    return response.data;
+  },
+
+  // Send a new verification email
+  resendVerification: async (email) => {
+    const response = await apiClient.post('/auth/verify-email/resend', { email });
+    return response.data;
+  },
+
   // Refresh access token
   refresh: async () => {
     // If there's already a refresh in progress, wait for it
@@ -157,8 +299,15 @@ export const authAPI = {
       return refreshPromise;
     }
 
-    // Start new refresh
-    refreshPromise = apiClient.post('/auth/refresh').then(response => {
+    // Start new refresh. If another tab rotated the same refresh token first, its new cookie
+    // is (about to be) in place: give its response a moment to land, then try once more.
+    refreshPromise = apiClient.post('/auth/refresh').catch(async (error) => {
+      if (error.response?.data?.error !== 'Refresh token already rotated') {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+      return apiClient.post('/auth/refresh');
+    }).then(response => {
       refreshPromise = null; // Clear the promise when done
       return response.data;
     }).catch(error => {
@@ -176,16 +325,75 @@ export const authAPI = {
     return response.data;
   },
 
+  // Logout every session of the user
+  logoutAll: async () => {
+    const response = await apiClient.post('/auth/logout-all');
+    clearAuth();
+    return response.data;
+  },
+
+  // Confirm identity again for sensitive operations (data: password, code/recoveryCode or credential)
+  reauthenticate: async (data) => {
+    const response = await apiClient.post('/auth/reauthenticate', data);
+    setAccessToken(response.data.accessToken);
+    return response.data;
+  },
+
   // Get user profile
   getProfile: async () => {
     const response = await apiClient.get('/auth/profile');
     return response.data;
   },
 
+  // List signed-in devices
+  getDevices: async () => {
+    const response = await apiClient.get('/auth/devices');
+    return response.data;
+  },
+
   // Revoke device key
   revokeDevice: async (keyId) => {
     const response = await apiClient.delete(`/auth/device/${keyId}`);
     return response.data;
+  },
+
+  // Revoke every device except this one
+  revokeOtherDevices: async () => {
+    const response = await apiClient.post('/auth/devices/revoke-others');
+    return response.data;
+  },
+
+  // Security events on this account, newest first
+  getActivity: async (params = {}) => {
+    const response = await apiClient.get('/auth/activity', { params });
+    return response.data;
+  }
+};
+
+// Account settings API calls
+export const accountAPI = {
+  // Re-authenticate with a passkey; the result is sent as `credential` with a change
+  getPasskeyProof: async () => {
+    const { data: options } = await apiClient.post('/auth/account/step-up/options');
+    return getPasskeyAssertion(options.publicKey);
+  },
+
+  // Change password (data: newPassword plus currentPassword/code or credential)
+  changePassword: async (data) => {
+    const response = await apiClient.post('/auth/account/password', data);
+    return response.data;
+  },
+
+  // Start an email change (data: newEmail plus currentPassword/code or credential)
+  changeEmail: async (data) => {
+    const response = await apiClient.post('/auth/account/email', data);
+    return response.data;
+  },
+
+  // Confirm an email change with the token sent to the new address
+  confirmEmailChange: async (token) => {
+    const response = await apiClient.post('/auth/account/email/confirm', { token });
+    return response.data;
   }
 };
 
@@ -228,6 +436,122 @@ export const crudAPI = {
   }
 };
 
+// Two-factor authentication API calls
+export const twoFactorAPI = {
+  // Get 2FA status
+  getStatus: async () => {
+    const response = await apiClient.get('/auth/2fa');
+    return response.data;
+  },
+
+  // Start enrollment (returns secret and otpauth:// URI)
+  setup: async () => {
+    const response = await apiClient.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  // Confirm enrollment with a code from the authenticator app
+  enable: async (code) => {
+    const response = await apiClient.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  // Replace recovery codes
+  regenerateRecoveryCodes: async (code) => {
+    const response = await apiClient.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  // Disable 2FA
+  disable: async (password, code) => {
+    const response = await apiClient.post('/auth/2fa/disable', { password, code });
+    return response.data;
+  }
+};
+
+// Passkey (WebAuthn) API calls
+export const passkeyAPI = {
+  // Get sign-in options (challenge) for a passkey login
+  getLoginOptions: async () => {
+    const response = await apiClient.post('/auth/webauthn/login/options');
+    return response.data;
+  },
+
+  // Complete a passkey login with the assertion and the new device key
+  login: async (data) => {
+    const response = await apiClient.post('/auth/webauthn/login/verify', data);
+    return response.data;
+  },
+
+  // Create a passkey on this device for the signed-in user
+  register: async (name) => {
+    const { data: options } = await apiClient.post('/auth/webauthn/register/options');
+    const credential = await createPasskeyCredential(options.publicKey);
+    const response = await apiClient.post('/auth/webauthn/register/verify', { credential, name });
+    return response.data;
+  },
+
+  // List the user's passkeys
+  getCredentials: async () => {
+    const response = await apiClient.get('/auth/webauthn/credentials');
+    return response.data;
+  },
+
+  // Remove a passkey
+  removeCredential: async (id) => {
+    const response = await apiClient.delete(`/auth/webauthn/credentials/${id}`);
+    return response.data;
+  }
+};
+
+// User administration (needs the matching permissions)
+export const adminAPI = {
+  // List users (params: page, limit, search, status)
+  getUsers: async (params = {}) => {
+    const response = await apiClient.get('/admin/users', { params });
+    return response.data;
+  },
+
+  // Suspend an account and sign out all of its devices
+  suspendUser: async (id) => {
+    const response = await apiClient.post(`/admin/users/${id}/suspend`);
+    return response.data;
+  },
+
+  // Lift a suspension
+  reactivateUser: async (id) => {
+    const response = await apiClient.post(`/admin/users/${id}/reactivate`);
+    return response.data;
+  },
+
+  // Clear a failed-login lockout
+  unlockUser: async (id) => {
+    const response = await apiClient.post(`/admin/users/${id}/unlock`);
+    return response.data;
+  },
+
+  // Get a short-lived token for a user, bound to a new device key (data: publicKeyJwk, reason)
+  impersonateUser: async (id, data) => {
+    const response = await apiClient.post(`/admin/users/${id}/impersonate`, data);
+    return response.data;
+  },
+
+  // End the current impersonation session
+  endImpersonation: async () => {
+    const response = await apiClient.post('/admin/impersonation/end');
+    return response.data;
+  }
+};
+
+// Anti-bot API calls
+export const securityAPI = {
+  // Exchange a solved proof-of-work challenge for a clearance token
+  redeemChallenge: async (challenge, solution) => {
+    const response = await apiClient.post('/security/challenge', { challenge, solution });
+    return response.data;
+  }
+};
+
 // Utility functions
 export const apiUtils = {
   // Check if user is authenticated
@@ -277,6 +601,21 @@ export const apiUtils = {
         case 401:
           return { message: 'Authentication required', type: 'auth' };
         case 403:
+          if (data.error === 'email_not_verified') {
+            return { message: data.details, type: 'email_not_verified' };
+          }
+          if (data.error === 'reauthentication_required') {
+            return { message: 'Please confirm your identity to continue', type: 'reauth' };
+          }
+          if (data.error === 'impersonation_forbidden') {
+            return { message: data.details, type: 'impersonation' };
+          }
+          if (data.error === 'risk_challenge_required') {
+            return { message: 'We noticed unusual activity. Please try again later.', type: 'risk' };
+          }
+          if (data.error === 'request_blocked') {
+            return { message: 'This request was blocked for security reasons', type: 'risk' };
+          }
           return { message: 'Access denied', type: 'permission' };
         case 404:
           return { message: 'Resource not found', type: 'notfound' };
@@ -163,8 +163,23 @@ export const getPrivateKey = async (keyId) => {
   });
 };
 
-// Generate DPoP proof for API requests
-export const generateDPoPProof = async (url, method, privateKey) => {
+// Base64url-encode raw bytes
+const bytesToBase64Url = (bytes) => {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+};
+
+// Hash an access token for the DPoP "ath" claim (base64url SHA-256)
+export const hashAccessToken = async (accessToken) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(accessToken));
+  return bytesToBase64Url(digest);
+};
+
+// Generate DPoP proof for API requests (nonce is the latest server-issued DPoP-Nonce,
+// accessToken is the bearer token the proof is presented with)
+export const generateDPoPProof = async (url, method, privateKey, nonce = null, accessToken = null) => {
   try {
     const header = {
       alg: "ES256",
@@ -178,6 +193,15 @@ export const generateDPoPProof = async (url, method, privateKey) => {
       jti: crypto.randomUUID()
     };
 
+    if (nonce) {
+      payload.nonce = nonce;
+    }
+
+    // Bind the proof to the access token so it can't be reused with another token
+    if (accessToken) {
+      payload.ath = await hashAccessToken(accessToken);
+    }
+
     // Create JWT manually
     const encoder = new TextEncoder();
     
@@ -0,0 +1,29 @@
+// Solve a proof-of-work challenge from the server ({ challenge, difficulty }) in a Web Worker.
+// Resolves with the solution to send back to POST /security/challenge.
+export const solveChallenge = ({ challenge, difficulty }, timeoutMs = 60000) => {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./powWorker.js', import.meta.url), { type: 'module' });
+
+    const finish = () => {
+      clearTimeout(timer);
+      worker.terminate();
+    };
+
+    const timer = setTimeout(() => {
+      finish();
+      reject(new Error('Challenge took too long to solve'));
+    }, timeoutMs);
+
+    worker.onmessage = ({ data }) => {
+      finish();
+      resolve(data.solution);
+    };
+
+    worker.onerror = (error) => {
+      finish();
+      reject(error);
+    };
+
+    worker.postMessage({ challenge, difficulty });
+  });
+};
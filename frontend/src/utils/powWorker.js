@@ -0,0 +1,28 @@
+// Proof-of-work solver, run in a Web Worker so the page stays responsive.
+// Receives { challenge, difficulty } and posts back { solution } once
+// SHA-256("<challenge>:<solution>") starts with `difficulty` zero bits.
+const encoder = new TextEncoder();
+
+const hasLeadingZeroBits = (bytes, bits) => {
+  let i = 0;
+  for (; bits >= 8; bits -= 8, i++) {
+    if (bytes[i] !== 0) {
+      return false;
+    }
+  }
+  return bits === 0 || bytes[i] >> (8 - bits) === 0;
+};
+
+self.onmessage = async ({ data }) => {
+  const { challenge, difficulty } = data;
+
+  for (let counter = 0; ; counter++) {
+    const solution = counter.toString(36);
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${solution}`));
+
+    if (hasLeadingZeroBits(new Uint8Array(digest), difficulty)) {
+      self.postMessage({ solution });
+      return;
+    }
+  }
+};
@@ -0,0 +1,81 @@
+// WebAuthn (passkey) browser helpers
+// The server sends options with base64url strings; the browser API wants ArrayBuffers, and
+// the resulting credentials are sent back with their binary fields base64url-encoded.
+
+const base64UrlToBuffer = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0)).buffer;
+};
+
+const bufferToBase64Url = (buffer) => {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+};
+
+// Check whether this browser has a platform authenticator (Touch ID, Windows Hello, ...)
+export const isPasskeySupported = async () => {
+  if (!window.PublicKeyCredential?.isUserVerifyingPlatformAuthenticatorAvailable) {
+    return false;
+  }
+
+  try {
+    return await window.PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+  } catch {
+    return false;
+  }
+};
+
+// Run navigator.credentials.create() with registration options from the server
+export const createPasskeyCredential = async (publicKey) => {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...publicKey,
+      challenge: base64UrlToBuffer(publicKey.challenge),
+      user: { ...publicKey.user, id: base64UrlToBuffer(publicKey.user.id) },
+      excludeCredentials: publicKey.excludeCredentials.map(credential => ({
+        ...credential,
+        id: base64UrlToBuffer(credential.id)
+      }))
+    }
+  });
+
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+      attestationObject: bufferToBase64Url(credential.response.attestationObject),
+      transports: credential.response.getTransports?.() || []
+    }
+  };
+};
+
+// Run navigator.credentials.get() with sign-in options from the server
+export const getPasskeyAssertion = async (publicKey) => {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...publicKey,
+      challenge: base64UrlToBuffer(publicKey.challenge),
+      allowCredentials: publicKey.allowCredentials?.map(allowed => ({
+        ...allowed,
+        id: base64UrlToBuffer(allowed.id)
+      }))
+    }
+  });
+
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+      authenticatorData: bufferToBase64Url(credential.response.authenticatorData),
+      signature: bufferToBase64Url(credential.response.signature),
+      userHandle: credential.response.userHandle
+        ? bufferToBase64Url(credential.response.userHandle)
+        : null
+    }
+  };
+};